@@ -0,0 +1,69 @@
+/**
+ * callingHours.js
+ * ================================
+ * When outbound reminder calls may be placed. All times are IST.
+ *
+ * Env overrides:
+ *   CALLING_WINDOWS         JSON, weekday → "HH:MM-HH:MM" or null (no calls)
+ *                           e.g. {"sun":null,"sat":"10:00-14:00"}
+ *   CALLING_HOLIDAYS        comma list of "YYYY-MM-DD" (one day) or
+ *                           "MM-DD" (every year); replaces the default list
+ *   CALLING_OUTSIDE_WINDOW  "defer" (default) | "reject"
+ */
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_WINDOWS = {
+  sun: null,
+  mon: '10:00-19:00',
+  tue: '10:00-19:00',
+  wed: '10:00-19:00',
+  thu: '10:00-19:00',
+  fri: '10:00-19:00',
+  sat: '10:00-17:00',
+};
+
+const DEFAULT_HOLIDAYS = [
+  '01-26',        // Republic Day
+  '08-15',        // Independence Day
+  '10-02',        // Gandhi Jayanti
+  '2026-03-04',   // Holi
+  '2026-11-08',   // Diwali
+];
+
+function parseRange(range) {
+  if (!range) return null;
+  const m = String(range).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`Invalid calling window "${range}" — expected HH:MM-HH:MM`);
+  const start = Number(m[1]) * 60 + Number(m[2]);
+  const end   = Number(m[3]) * 60 + Number(m[4]);
+  if (start >= end || end > 24 * 60) throw new Error(`Invalid calling window "${range}"`);
+  return { start, end };
+}
+
+function loadWindows() {
+  const overrides = process.env.CALLING_WINDOWS ? JSON.parse(process.env.CALLING_WINDOWS) : {};
+  const merged    = { ...DEFAULT_WINDOWS, ...overrides };
+  // Indexed by Date#getUTCDay() of the IST wall-clock date
+  return WEEKDAY_KEYS.map(key => parseRange(merged[key]));
+}
+
+function loadHolidays() {
+  const list = process.env.CALLING_HOLIDAYS
+    ? process.env.CALLING_HOLIDAYS.split(',').map(d => d.trim()).filter(Boolean)
+    : DEFAULT_HOLIDAYS;
+  return new Set(list);
+}
+
+const outsideWindow = (process.env.CALLING_OUTSIDE_WINDOW || 'defer').toLowerCase();
+if (!['defer', 'reject'].includes(outsideWindow)) {
+  throw new Error(`Invalid CALLING_OUTSIDE_WINDOW "${outsideWindow}" — use defer | reject`);
+}
+
+const callingHours = {
+  windows:  loadWindows(),
+  holidays: loadHolidays(),
+  outsideWindow,
+};
+
+export default callingHours;
@@ -0,0 +1,38 @@
+/**
+ * contactCaps.js
+ * ================================
+ * How often one customer (phone number) may be called.
+ *
+ *   maxPerDay           calls per IST calendar day
+ *   maxPerWeek          calls in any rolling 7 days
+ *   rejectedGapDays     no new call for this many days after a
+ *                       `rejected` outcome
+ *
+ * 0 switches a cap off. Only calls that rang the customer count —
+ * busy / failed / canceled attempts do not — along with calls still in
+ * progress and dial jobs queued for the same period. Policy redials of
+ * the same reminder are not capped (config/redialPolicy.js bounds them).
+ *
+ * Env overrides:
+ *   CONTACT_MAX_PER_DAY        default 2
+ *   CONTACT_MAX_PER_WEEK       default 4
+ *   CONTACT_REJECTED_GAP_DAYS  default 7
+ */
+
+function readLimit(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a whole number (0 = no limit)`);
+  }
+  return value;
+}
+
+const contactCaps = {
+  maxPerDay:       readLimit('CONTACT_MAX_PER_DAY', 2),
+  maxPerWeek:      readLimit('CONTACT_MAX_PER_WEEK', 4),
+  rejectedGapDays: readLimit('CONTACT_REJECTED_GAP_DAYS', 7),
+};
+
+export default contactCaps;
@@ -0,0 +1,58 @@
+/**
+ * handoff.js
+ * ================================
+ * Where calls go when the customer asks for a person ("kisi insaan se
+ * baat karao") or the bot cannot follow them.
+ *
+ *   branchDesks       { <branch_code>: "+91…" } — service desk of each
+ *                     branch (SERVICE_CENTERS branch_code)
+ *   centralDesk       dialed while the branch is still unknown, or when
+ *                     the branch has no desk number
+ *   ringSeconds       how long a desk rings before the caller is offered
+ *                     voicemail
+ *   voicemailSeconds  longest voicemail recorded
+ *
+ * With no desk numbers at all, explicit requests go straight to
+ * voicemail and the bot's own give-up paths hang up as before.
+ *
+ * Env overrides:
+ *   HANDOFF_BRANCH_DESKS       JSON, e.g. {"4": "+911414000000", "5": "+917442000000"}
+ *   HANDOFF_CENTRAL_DESK       e.g. +911414000001
+ *   HANDOFF_RING_SECONDS       default 25
+ *   HANDOFF_VOICEMAIL_SECONDS  default 120
+ */
+
+import { normalizeIndianPhone } from '../utils/phone.js';
+
+function readNumber(name, raw) {
+  const phone = normalizeIndianPhone(raw);
+  if (phone.error) throw new Error(`${name}: ${phone.error}`);
+  return phone.e164;
+}
+
+function readSeconds(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) throw new Error(`${name} must be a whole number of seconds`);
+  return value;
+}
+
+function loadBranchDesks() {
+  const raw = process.env.HANDOFF_BRANCH_DESKS ? JSON.parse(process.env.HANDOFF_BRANCH_DESKS) : {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('HANDOFF_BRANCH_DESKS must be a JSON object of branch code → phone number');
+  }
+  return Object.fromEntries(
+    Object.entries(raw).map(([code, number]) => [String(code), readNumber(`HANDOFF_BRANCH_DESKS["${code}"]`, number)])
+  );
+}
+
+const handoff = {
+  branchDesks:      loadBranchDesks(),
+  centralDesk:      process.env.HANDOFF_CENTRAL_DESK ? readNumber('HANDOFF_CENTRAL_DESK', process.env.HANDOFF_CENTRAL_DESK) : null,
+  ringSeconds:      readSeconds('HANDOFF_RING_SECONDS', 25),
+  voicemailSeconds: readSeconds('HANDOFF_VOICEMAIL_SECONDS', 120),
+};
+
+export default handoff;
@@ -0,0 +1,44 @@
+/**
+ * redialPolicy.js
+ * ================================
+ * Automatic redial rules per Twilio terminal call status.
+ *
+ *   maxAttempts     total dials including the first one
+ *   backoffMinutes  wait before attempt 2, 3, … (last value repeats)
+ *
+ * Statuses not listed here (completed, canceled) are never redialed.
+ *
+ * Env override:
+ *   REDIAL_POLICY  JSON with the same shape, merged per status
+ *                  e.g. {"busy":{"maxAttempts":4,"backoffMinutes":[5,15,60]}}
+ */
+
+const DEFAULT_POLICY = {
+  'busy':      { maxAttempts: 3, backoffMinutes: [10, 30] },
+  'no-answer': { maxAttempts: 3, backoffMinutes: [30, 120] },
+  'failed':    { maxAttempts: 2, backoffMinutes: [60] },
+};
+
+function loadPolicy() {
+  const overrides = process.env.REDIAL_POLICY ? JSON.parse(process.env.REDIAL_POLICY) : {};
+  const policy    = { ...DEFAULT_POLICY };
+
+  for (const [status, rule] of Object.entries(overrides)) {
+    policy[status] = { ...DEFAULT_POLICY[status], ...rule };
+  }
+
+  for (const [status, rule] of Object.entries(policy)) {
+    if (!Number.isInteger(rule.maxAttempts) || rule.maxAttempts < 1) {
+      throw new Error(`REDIAL_POLICY.${status}.maxAttempts must be a positive integer`);
+    }
+    if (!Array.isArray(rule.backoffMinutes) || rule.backoffMinutes.length === 0) {
+      throw new Error(`REDIAL_POLICY.${status}.backoffMinutes must be a non-empty array`);
+    }
+  }
+
+  return policy;
+}
+
+const redialPolicy = loadPolicy();
+
+export default redialPolicy;
@@ -0,0 +1,61 @@
+/**
+ * serviceIntervals.js
+ * ================================
+ * Service milestones per machine model, in engine hours (HMR).
+ *
+ *   firstServiceHours  first service after commissioning
+ *   intervals          repeating services; every multiple of the smallest
+ *                      interval is due, named after the largest interval
+ *                      that divides it
+ *   earlyServiceHours  a service done up to this many hours before a
+ *                      milestone counts as that milestone (490 → the 500
+ *                      Hour service), so the next one due is the one after
+ *
+ * With the default { firstServiceHours: 250, intervals: [500, 1000, 2000],
+ * earlyServiceHours: 50 }:
+ *   250 → "250 Hour", 500 → "500 Hour", 1000 → "1000 Hour",
+ *   1500 → "500 Hour", 2000 → "2000 Hour", 2500 → "500 Hour", …
+ *
+ * Models not listed use `default`. Lookups ignore case and spaces.
+ *
+ * Env override:
+ *   SERVICE_INTERVALS  JSON, model → schedule, merged over the defaults
+ *                      e.g. {"3DX Super":{"firstServiceHours":100}}
+ */
+
+const DEFAULT_SCHEDULES = {
+  default: { firstServiceHours: 250, intervals: [500, 1000, 2000], earlyServiceHours: 50 },
+};
+
+const modelKey = (model) => String(model || '').toLowerCase().replace(/\s+/g, '');
+
+function loadSchedules() {
+  const overrides = process.env.SERVICE_INTERVALS ? JSON.parse(process.env.SERVICE_INTERVALS) : {};
+  const schedules = new Map();
+
+  for (const [model, schedule] of Object.entries({ ...DEFAULT_SCHEDULES, ...overrides })) {
+    const merged = { ...DEFAULT_SCHEDULES.default, ...schedule };
+    if (!Number.isInteger(merged.firstServiceHours) || merged.firstServiceHours < 1) {
+      throw new Error(`SERVICE_INTERVALS.${model}.firstServiceHours must be a positive integer`);
+    }
+    if (!Array.isArray(merged.intervals) || merged.intervals.length === 0 ||
+        !merged.intervals.every(h => Number.isInteger(h) && h > 0)) {
+      throw new Error(`SERVICE_INTERVALS.${model}.intervals must be a non-empty array of positive integers`);
+    }
+    if (!Number.isInteger(merged.earlyServiceHours) || merged.earlyServiceHours < 0 ||
+        merged.earlyServiceHours >= Math.min(merged.firstServiceHours, ...merged.intervals)) {
+      throw new Error(`SERVICE_INTERVALS.${model}.earlyServiceHours must be zero or more and below every interval`);
+    }
+    schedules.set(modelKey(model), { ...merged, intervals: [...merged.intervals].sort((a, b) => a - b) });
+  }
+
+  return schedules;
+}
+
+const schedules = loadSchedules();
+
+export function scheduleForModel(model) {
+  return schedules.get(modelKey(model)) || schedules.get('default');
+}
+
+export default { scheduleForModel };
@@ -0,0 +1,65 @@
+/**
+ * webhooks.js
+ * ================================
+ * Outbound outcome webhooks — where call outcomes are pushed (CRM / DMS).
+ *
+ * Env:
+ *   OUTCOME_WEBHOOKS        JSON array of endpoints
+ *                           [{ "name": "dms", "url": "https://…", "secret": "…",
+ *                              "events": ["booking.confirmed", "call.no_response"] }]
+ *                           `events` may be ["*"] for everything; `name`
+ *                           defaults to the URL host
+ *   WEBHOOK_MAX_ATTEMPTS    deliveries tried before dead-lettering (default 8)
+ *   WEBHOOK_BACKOFF_SECONDS first retry delay, doubled each attempt (default 30,
+ *                           capped at one hour)
+ *
+ * Events (see utils/outcomeWebhooks.js):
+ *   booking.confirmed  booking.rejected  booking.already_done
+ *   call.no_response   call.voicemail    call.opted_out
+ *   call.handed_off
+ */
+
+export const WEBHOOK_EVENTS = [
+  'booking.confirmed',
+  'booking.rejected',
+  'booking.already_done',
+  'call.no_response',
+  'call.voicemail',
+  'call.opted_out',
+  'call.handed_off',
+];
+
+function loadEndpoints() {
+  const raw = process.env.OUTCOME_WEBHOOKS ? JSON.parse(process.env.OUTCOME_WEBHOOKS) : [];
+  if (!Array.isArray(raw)) throw new Error('OUTCOME_WEBHOOKS must be a JSON array');
+
+  const endpoints = raw.map((endpoint, i) => {
+    let url;
+    try {
+      url = new URL(endpoint.url);
+    } catch {
+      throw new Error(`OUTCOME_WEBHOOKS[${i}].url is not a valid URL`);
+    }
+    if (!endpoint.secret) throw new Error(`OUTCOME_WEBHOOKS[${i}].secret is required`);
+
+    const events = endpoint.events || ['*'];
+    const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw new Error(`OUTCOME_WEBHOOKS[${i}] has unknown events: ${unknown.join(', ')}`);
+
+    return { name: endpoint.name || url.host, url: url.href, secret: endpoint.secret, events };
+  });
+
+  const names = endpoints.map(e => e.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) throw new Error(`OUTCOME_WEBHOOKS has two endpoints named "${duplicate}"`);
+
+  return endpoints;
+}
+
+const webhooks = {
+  endpoints:      loadEndpoints(),
+  maxAttempts:    Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  backoffSeconds: Number(process.env.WEBHOOK_BACKOFF_SECONDS || 30),
+};
+
+export default webhooks;
@@ -0,0 +1,76 @@
+/**
+ * apiKeyController.js
+ * ================================
+ * Issue, list and revoke REST API keys (admin scope only).
+ *
+ * POST /api-keys  { name, scopes: ["calls:create", ...] }
+ *   → 201 { key, ...summary } — the plain key is returned only here
+ */
+
+import mongoose from "mongoose";
+import ApiKey, { API_SCOPES } from "../models/ApiKey.js";
+import { generateApiKey, hashApiKey } from "../middleware/apiKeyAuth.js";
+
+/* =====================================================================
+   HANDLERS
+   ===================================================================== */
+async function issueKey(req, res) {
+  const { name, scopes } = req.body || {};
+  if (!String(name ?? "").trim()) {
+    return res.status(400).json({ error: '`name` is required' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: `\`scopes\` must be a non-empty array of ${API_SCOPES.join(", ")}` });
+  }
+  const unknown = scopes.filter(s => !API_SCOPES.includes(s));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown scopes: ${unknown.join(", ")}` });
+  }
+
+  const key = generateApiKey();
+  try {
+    const doc = await ApiKey.create({
+      name:      String(name).trim(),
+      prefix:    key.slice(0, 10),
+      keyHash:   hashApiKey(key),
+      scopes:    [...new Set(scopes)],
+      createdBy: req.apiKey?.name || null,
+    });
+    return res.status(201).json({ key, ...doc.toSummary() });
+  } catch (err) {
+    console.error('API key issue error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function listKeys(req, res) {
+  try {
+    const keys = await ApiKey.find().sort({ createdAt: -1 });
+    return res.json(keys.map(k => k.toSummary()));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function revokeKey(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  try {
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!key) return res.status(404).json({ error: 'API key not found or already revoked' });
+    return res.json(key.toSummary());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+export default {
+  issueKey,
+  listKeys,
+  revokeKey,
+};
@@ -0,0 +1,173 @@
+/**
+ * campaignController.js
+ * ================================
+ * Request handlers for bulk outbound campaigns.
+ *
+ * Upload formats accepted by POST /campaigns:
+ *   • Content-Type: text/csv   — header row + one customer per line
+ *   • Content-Type: application/json
+ *       { name?, concurrency?, paceSeconds?, customers: [ {...}, ... ] }
+ *       { name?, concurrency?, paceSeconds?, csv: "name,phone,..." }
+ *
+ * Query-string options (CSV uploads): ?name=&concurrency=&paceSeconds=
+ *
+ * Required columns: name, phone, machineModel, machineNumber,
+ *                   serviceType, dueDate
+ */
+
+import mongoose from "mongoose";
+import Campaign from "../models/Campaign.js";
+import { parseCsv } from "../utils/csv.js";
+import { normalizeIndianPhone } from "../utils/phone.js";
+import { startCampaign, setCampaignStatus } from "../utils/campaignRunner.js";
+
+const MAX_ROWS = 5000;
+
+const REQUIRED_FIELDS = ["name", "phone", "machineModel", "machineNumber", "serviceType", "dueDate"];
+
+/* =====================================================================
+   ROW VALIDATION
+   ===================================================================== */
+/** YYYY-MM-DD → error message | null (same rule as machine dates) */
+function dueDateError(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return "`dueDate` must be YYYY-MM-DD";
+  return isNaN(new Date(`${value}T00:00:00+05:30`).getTime()) ? "`dueDate` is not a valid date" : null;
+}
+
+export function validateRows(rawRows) {
+  const rows   = [];
+  const errors = [];
+
+  rawRows.forEach((raw, i) => {
+    const rowNumber = i + 1;
+    const missing   = REQUIRED_FIELDS.filter(f => !String(raw?.[f] ?? "").trim());
+    if (missing.length) {
+      errors.push({ row: rowNumber, error: `Missing ${missing.join(", ")}` });
+      return;
+    }
+
+    const phone = normalizeIndianPhone(raw.phone);
+    if (phone.error) {
+      errors.push({ row: rowNumber, error: phone.error });
+      return;
+    }
+
+    const dueDate = String(raw.dueDate).trim();
+    const dateError = dueDateError(dueDate);
+    if (dateError) {
+      errors.push({ row: rowNumber, error: dateError });
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      customerName:  String(raw.name).trim(),
+      phone:         phone.e164,
+      machineModel:  String(raw.machineModel).trim(),
+      machineNumber: String(raw.machineNumber).trim(),
+      serviceType:   String(raw.serviceType).trim(),
+      dueDate,
+    });
+  });
+
+  return { rows, errors };
+}
+
+function readUpload(req) {
+  if (typeof req.body === "string") return { options: req.query, rawRows: parseCsv(req.body) };
+
+  const body = req.body || {};
+  if (typeof body.csv === "string") return { options: body, rawRows: parseCsv(body.csv) };
+  return { options: body, rawRows: Array.isArray(body.customers) ? body.customers : null };
+}
+
+function findCampaign(id) {
+  return mongoose.isValidObjectId(id) ? Campaign.findById(id) : null;
+}
+
+/* =====================================================================
+   HANDLERS
+   ===================================================================== */
+async function createCampaign(req, res) {
+  const { options, rawRows } = readUpload(req);
+
+  if (!rawRows || rawRows.length === 0) {
+    return res.status(400).json({ error: 'Provide a CSV body, `csv` string or `customers` array' });
+  }
+  if (rawRows.length > MAX_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_ROWS} customers per campaign` });
+  }
+
+  const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : undefined;
+  const paceSeconds = options.paceSeconds !== undefined ? Number(options.paceSeconds) : undefined;
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+    return res.status(400).json({ error: '`concurrency` must be a positive integer' });
+  }
+  if (paceSeconds !== undefined && !(paceSeconds >= 0)) {
+    return res.status(400).json({ error: '`paceSeconds` must be zero or more' });
+  }
+
+  const { rows, errors } = validateRows(rawRows);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid rows', rows: errors });
+  }
+
+  try {
+    const campaign = await Campaign.create({
+      name: options.name || null,
+      concurrency,
+      paceSeconds,
+      rows,
+    });
+    startCampaign(campaign._id);
+    return res.status(201).json(campaign.toSummary());
+  } catch (err) {
+    console.error('Campaign create error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function listCampaigns(req, res) {
+  try {
+    const campaigns = await Campaign.find().sort({ createdAt: -1 }).limit(50);
+    return res.json(campaigns.map(c => c.toSummary()));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function getCampaign(req, res) {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    return res.json({ ...campaign.toSummary(), rows: campaign.rows });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+function changeStatus(status) {
+  return async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      const campaign = await setCampaignStatus(req.params.id, status);
+      if (!campaign) {
+        return res.status(409).json({ error: `Campaign cannot be set to ${status} from its current state` });
+      }
+      return res.json(campaign.toSummary());
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+export default {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  pauseCampaign:  changeStatus("paused"),
+  resumeCampaign: changeStatus("running"),
+  cancelCampaign: changeStatus("cancelled"),
+};
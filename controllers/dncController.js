@@ -0,0 +1,115 @@
+/**
+ * dncController.js
+ * ================================
+ * Admin handlers for the do-not-call registry (models/DoNotCall.js).
+ *
+ *   POST /dnc          { phone, reason? }                  → source "manual"
+ *   POST /dnc/import   text/csv with a `phone` column, or
+ *                      { phones: ["98290 12345", ...] }    → source "import"
+ *
+ * Numbers are normalised to E.164 before they are stored or looked up,
+ * so "098290-12345" and "+91 98290 12345" are the same entry.
+ */
+
+import DoNotCall, { DNC_SOURCES } from "../models/DoNotCall.js";
+import { parseCsv } from "../utils/csv.js";
+import { normalizeIndianPhone } from "../utils/phone.js";
+import { addDoNotCall, removeDoNotCall } from "../utils/doNotCall.js";
+
+const MAX_IMPORT = 10000;
+const PAGE_SIZE  = 100;
+
+/* =====================================================================
+   HANDLERS
+   ===================================================================== */
+async function listNumbers(req, res) {
+  const { source } = req.query;
+  if (source && !DNC_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `\`source\` must be one of ${DNC_SOURCES.join(", ")}` });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || PAGE_SIZE, 1000);
+  const skip  = Math.max(Number(req.query.skip) || 0, 0);
+  const filter = source ? { source } : {};
+
+  try {
+    const [total, numbers] = await Promise.all([
+      DoNotCall.countDocuments(filter),
+      DoNotCall.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ]);
+    return res.json({ total, skip, limit, numbers });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function addNumber(req, res) {
+  const phone = normalizeIndianPhone(req.body?.phone);
+  if (phone.error) return res.status(400).json({ error: phone.error });
+
+  try {
+    const entry = await addDoNotCall({ phone: phone.e164, source: "manual", reason: req.body.reason || null });
+    return res.status(201).json(entry);
+  } catch (err) {
+    console.error('DNC add error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function importNumbers(req, res) {
+  const rawPhones = typeof req.body === "string"
+    ? parseCsv(req.body).map(row => row.phone)
+    : req.body?.phones;
+
+  if (!Array.isArray(rawPhones) || rawPhones.length === 0) {
+    return res.status(400).json({ error: 'Provide a CSV body with a `phone` column or a `phones` array' });
+  }
+  if (rawPhones.length > MAX_IMPORT) {
+    return res.status(400).json({ error: `At most ${MAX_IMPORT} numbers per import` });
+  }
+
+  const phones = new Set();
+  const errors = [];
+  rawPhones.forEach((raw, i) => {
+    const phone = normalizeIndianPhone(raw);
+    if (phone.error) errors.push({ row: i + 1, error: phone.error });
+    else phones.add(phone.e164);
+  });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid rows', rows: errors });
+  }
+
+  try {
+    const result = await DoNotCall.bulkWrite([...phones].map(phone => ({
+      updateOne: {
+        filter: { phone },
+        update: { $setOnInsert: { phone, source: "import", reason: req.query.reason || null } },
+        upsert: true,
+      },
+    })), { ordered: false });
+    return res.status(201).json({ received: rawPhones.length, added: result.upsertedCount, alreadyListed: phones.size - result.upsertedCount });
+  } catch (err) {
+    console.error('DNC import error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function removeNumber(req, res) {
+  const phone = normalizeIndianPhone(req.params.phone);
+  if (phone.error) return res.status(400).json({ error: phone.error });
+
+  try {
+    const removed = await removeDoNotCall(phone.e164);
+    if (!removed) return res.status(404).json({ error: 'Number is not on the do-not-call list' });
+    return res.json({ success: true, phone: phone.e164 });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+export default {
+  listNumbers,
+  addNumber,
+  importNumbers,
+  removeNumber,
+};
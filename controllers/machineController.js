@@ -0,0 +1,164 @@
+/**
+ * machineController.js
+ * ================================
+ * Request handlers for the machine registry and service predictions.
+ *
+ * Dates (commissioningDate, lastServiceDate) are "YYYY-MM-DD".
+ * Every machine in a response carries `nextService` from
+ * utils/serviceIntervalEngine.js.
+ */
+
+import Machine from "../models/Machine.js";
+import { normalizeIndianPhone } from "../utils/phone.js";
+import { predictNextService, runServiceReminders } from "../utils/serviceIntervalEngine.js";
+
+const EDITABLE_FIELDS = ["model", "ownerName", "phone", "commissioningDate", "lastServiceHMR", "lastServiceDate", "averageDailyHours", "active"];
+const REQUIRED_FIELDS = ["machineNumber", "model", "ownerName", "phone", "commissioningDate"];
+
+/* =====================================================================
+   INPUT VALIDATION
+   ===================================================================== */
+function parseDay(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return { error: `\`${field}\` must be YYYY-MM-DD` };
+  const date = new Date(`${value}T00:00:00+05:30`);
+  return isNaN(date.getTime()) ? { error: `\`${field}\` is not a valid date` } : { date };
+}
+
+/** Picks and validates editable fields from `body` → { fields } | { error } */
+function readFields(body) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] === undefined) continue;
+    const value = body[key];
+
+    if (key === "phone") {
+      const phone = normalizeIndianPhone(value);
+      if (phone.error) return { error: phone.error };
+      fields.phone = phone.e164;
+    } else if (key === "commissioningDate" || key === "lastServiceDate") {
+      const day = parseDay(value, key);
+      if (day.error) return day;
+      fields[key] = day.date;
+    } else if (key === "lastServiceHMR") {
+      if (!(Number(value) >= 0)) return { error: '`lastServiceHMR` must be zero or more' };
+      fields.lastServiceHMR = Number(value);
+    } else if (key === "averageDailyHours") {
+      const hours = Number(value);
+      if (!(hours > 0 && hours <= 24)) return { error: '`averageDailyHours` must be between 0 and 24' };
+      fields.averageDailyHours = hours;
+    } else if (key === "active") {
+      fields.active = Boolean(value);
+    } else {
+      fields[key] = String(value).trim();
+    }
+  }
+  return { fields };
+}
+
+function withPrediction(machine) {
+  const plain = machine.toObject ? machine.toObject() : machine;
+  return { ...plain, nextService: predictNextService(plain) };
+}
+
+/* =====================================================================
+   HANDLERS
+   ===================================================================== */
+async function createMachine(req, res) {
+  const body    = req.body || {};
+  const missing = REQUIRED_FIELDS.filter(f => !String(body[f] ?? "").trim());
+  if (missing.length) return res.status(400).json({ error: `Missing ${missing.join(", ")}` });
+
+  const { fields, error } = readFields(body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const machine = await Machine.create({ machineNumber: String(body.machineNumber).trim(), ...fields });
+    return res.status(201).json(withPrediction(machine));
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'Machine number already registered' });
+    console.error('Machine create error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function listMachines(req, res) {
+  const dueWithinDays = req.query.dueWithinDays !== undefined ? Number(req.query.dueWithinDays) : null;
+  if (dueWithinDays !== null && Number.isNaN(dueWithinDays)) {
+    return res.status(400).json({ error: '`dueWithinDays` must be a number' });
+  }
+
+  try {
+    const machines = (await Machine.find({ active: true }).lean()).map(withPrediction);
+    const filtered = dueWithinDays === null
+      ? machines
+      : machines.filter(m => m.nextService.daysUntilDue <= dueWithinDays);
+    return res.json(filtered.sort((a, b) => a.nextService.daysUntilDue - b.nextService.daysUntilDue));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function getMachine(req, res) {
+  try {
+    const machine = await Machine.findOne({ machineNumber: req.params.machineNumber.toUpperCase() });
+    if (!machine) return res.status(404).json({ error: 'Machine not found' });
+    return res.json(withPrediction(machine));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function updateMachine(req, res) {
+  const { fields, error } = readFields(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const machine = await Machine.findOneAndUpdate(
+      { machineNumber: req.params.machineNumber.toUpperCase() },
+      { $set: fields },
+      { returnDocument: "after" }
+    );
+    if (!machine) return res.status(404).json({ error: 'Machine not found' });
+    return res.json(withPrediction(machine));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/** A service was done — moves the prediction on to the next milestone. */
+async function recordService(req, res) {
+  const { hmr, date } = req.body || {};
+  if (!(Number(hmr) >= 0)) return res.status(400).json({ error: '`hmr` must be zero or more' });
+  const day = parseDay(date, "date");
+  if (day.error) return res.status(400).json({ error: day.error });
+
+  try {
+    const machine = await Machine.findOneAndUpdate(
+      { machineNumber: req.params.machineNumber.toUpperCase() },
+      { $set: { lastServiceHMR: Number(hmr), lastServiceDate: day.date } },
+      { returnDocument: "after" }
+    );
+    if (!machine) return res.status(404).json({ error: 'Machine not found' });
+    return res.json(withPrediction(machine));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function runReminders(req, res) {
+  try {
+    return res.json(await runServiceReminders());
+  } catch (err) {
+    console.error('Reminder run error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+export default {
+  createMachine,
+  listMachines,
+  getMachine,
+  updateMachine,
+  recordService,
+  runReminders,
+};
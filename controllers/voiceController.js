@@ -30,24 +30,32 @@
  *  9. RURAL KEYWORDS: Rajasthani, Bhojpuri, Marwari dialect support in all tables.
  */
 
-import twilio from "twilio";
+import crypto from "crypto";
+import telephony from "../utils/telephony/index.js";
 import ServiceBooking from "../models/Servicebooking.js";
-import { callDataStore } from "../routes/outbound.js";
+import callContextStore from "../utils/callContextStore.js";
+import sessionStore from "../utils/sessionStore.js";
+import callEvents, { CALL_EVENT } from "../utils/callEvents.js";
+import { planRedial } from "../utils/redialPlanner.js";
+import { scheduleDial } from "../utils/dialScheduler.js";
+import { addDoNotCall } from "../utils/doNotCall.js";
+import { publishBookingOutcome } from "../utils/outcomeWebhooks.js";
+import handoffConfig from "../config/handoff.js";
+import { spellOut, toPlainText } from "../utils/ssml.js";
+import { extractStaticPhrases } from "../utils/promptCache.js";
 import {
   processUserInput,
+  detectEarlyIntent,
   INTENT,
   matchBranch,
   resolveDate,
   buildSmartRepeatResponse,
   buildSmartConfusionResponse,
   buildOffTopicResponse,
+  keypadToSpeech,
+  keypadBranch,
+  KEYPAD_CENTERS,
 } from "../utils/conversational_intelligence.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SESSION_BACKUP_FILE = path.join(__dirname, "..", ".session_backup.json");
 
 /* =====================================================================
    CONFIGURATION
@@ -55,18 +63,39 @@ const SESSION_BACKUP_FILE = path.join(__dirname, "..", ".session_backup.json");
 const CFG = {
   MAX_SILENCE_RETRIES:     3,    // 3 patient retries before farewell
   MAX_SLOW_SPEECH_RETRIES: 3,
+  KEYPAD_AFTER_UNCLEAR:    2,    // unclear turns in a row before keypad prompts
   MAX_TOTAL_TURNS:         15,
   CONFIDENCE_THRESHOLD:    0.4,
   GATHER_TIMEOUT:          6,
-  SPEECH_TIMEOUT:          3,
   TTS_LANGUAGE:            "hi-IN",
   TTS_VOICE:               "Polly.Aditi",
   SESSION_TTL_MS:          30 * 60 * 1000,
+  DUPLICATE_WINDOW_MS:     4000, // same webhook body this soon after → retry
   MAX_REPEAT_COUNT:        3,
   MAX_CONFUSION_STREAK:    2,
   MAX_PERSUASION:          2,
+  TTS_CHARS_PER_SECOND:    14,   // rough speaking pace — barge-in estimate
+
+  /* Per-state listening. speechTimeout: seconds of silence that end an
+     answer. earlyIntents: intents acted on from partial results before
+     the caller stops talking (see handlePartialResult). Date and branch
+     answers run long and are never cut off. */
+  STATE_TUNING: {
+    default:                   { speechTimeout: 3, earlyIntents: [] },
+    awaiting_initial_decision: { speechTimeout: 2, earlyIntents: ["repeat", "confirm"] },
+    awaiting_date:             { speechTimeout: 4, earlyIntents: ["repeat"] },
+    awaiting_date_confirm:     { speechTimeout: 2, earlyIntents: ["repeat", "confirm"] },
+    awaiting_branch:           { speechTimeout: 3, earlyIntents: ["repeat"] },
+    awaiting_reason:           { speechTimeout: 3, earlyIntents: ["repeat"] },
+    awaiting_reason_persisted: { speechTimeout: 3, earlyIntents: ["repeat"] },
+    awaiting_service_details:  { speechTimeout: 4, earlyIntents: [] },
+  },
 };
 
+function stateTuning(state) {
+  return CFG.STATE_TUNING[state] || CFG.STATE_TUNING.default;
+}
+
 /* =====================================================================
    LOGGER
    ===================================================================== */
@@ -77,75 +106,108 @@ const log = {
 };
 
 /* =====================================================================
-   SESSION STORE with File Backup Recovery
+   SESSION STORE — utils/sessionStore.js (memory | mongo)
+
+   A turn works on its own copy of the session and writes it back with
+   commitSession(). Fields written by the status callback, partial results,
+   reply tracking and the end-of-call claim are left as stored, and
+   `ending` never flips back to false.
    ===================================================================== */
-const sessionStore = new Map();
+const STORE_OWNED_FIELDS = [
+  "ringingAt", "answeredAt", "completedAt", "callDurationSeconds", "callStatus", "endedAt",
+  "partial", "lastDelivery",
+];
 
-function loadSessionBackup() {
+async function commitSession(session) {
   try {
-    if (fs.existsSync(SESSION_BACKUP_FILE)) {
-      const data = JSON.parse(fs.readFileSync(SESSION_BACKUP_FILE, "utf8"));
-      for (const [callSid, sessionData] of Object.entries(data)) {
-        if (sessionData) {
-          sessionData.callStartedAt = new Date(sessionData.callStartedAt);
-          sessionStore.set(callSid, sessionData);
-          log.info("session", `Recovered session from backup: ${callSid}`);
-        }
+    await sessionStore.update(session.callSid, stored => {
+      for (const [field, value] of Object.entries(session)) {
+        if (!STORE_OWNED_FIELDS.includes(field)) stored[field] = value;
       }
-    }
+      stored.ending = stored.ending || session.ending;
+    });
   } catch (err) {
-    log.warn("session", `Failed to load session backup: ${err.message}`);
+    log.error("session", `Session write failed: ${err.message}`, { callSid: session.callSid });
   }
 }
 
-function saveSessionBackup() {
+/* TTL sweep — sessions that never ended (lost hangup callback, crash) */
+setInterval(async () => {
+  let stale;
   try {
-    const backup = {};
-    for (const [callSid, session] of sessionStore.entries()) {
-      if (session && !session.ending) backup[callSid] = session;
-    }
-    fs.writeFileSync(SESSION_BACKUP_FILE, JSON.stringify(backup, null, 2));
+    stale = await sessionStore.findStale(new Date(Date.now() - CFG.SESSION_TTL_MS));
   } catch (err) {
-    log.warn("session", `Failed to save session backup: ${err.message}`);
+    log.warn("session", `TTL sweep failed: ${err.message}`);
+    return;
   }
-}
-
-loadSessionBackup();
-setInterval(() => { saveSessionBackup(); }, 10 * 1000);
-setInterval(() => {
-  const now = Date.now();
-  for (const [sid, session] of sessionStore.entries()) {
-    if (now - session.callStartedAt.getTime() > CFG.SESSION_TTL_MS) {
-      log.warn("session", "TTL cleanup for stale session", { callSid: sid });
-      endSession(sid, "ttl_cleanup", "no_response").catch(() => {});
-    }
+  for (const callSid of stale) {
+    log.warn("session", "TTL cleanup for stale session", { callSid });
+    await endSession(callSid, "ttl_cleanup", "no_response").catch(() => {});
   }
-  saveSessionBackup();
 }, 5 * 60 * 1000);
 
 /* =====================================================================
-   TWILIO SIGNATURE VALIDATION
+   WEBHOOK SIGNATURE VALIDATION — delegated to the telephony adapter
+
+   The provider signs the exact public URL it posted to. Behind ngrok or a
+   load balancer Express sees http://localhost:PORT/..., so the URL is
+   rebuilt from X-Forwarded-Proto / X-Forwarded-Host, with PUBLIC_URL as
+   a second candidate for proxies that do not forward the host.
+
+   VOICE_WEBHOOK_AUTH_BYPASS=true turns the check off for local
+   development. It is ignored when NODE_ENV=production.
    ===================================================================== */
+const SIGNATURE_BYPASS =
+  process.env.VOICE_WEBHOOK_AUTH_BYPASS === "true" && process.env.NODE_ENV !== "production";
+
+if (process.env.VOICE_WEBHOOK_AUTH_BYPASS === "true") {
+  if (SIGNATURE_BYPASS) {
+    log.error("security", "VOICE_WEBHOOK_AUTH_BYPASS is ON — /voice webhooks are NOT authenticated. Local development only!");
+  } else {
+    log.error("security", "VOICE_WEBHOOK_AUTH_BYPASS ignored because NODE_ENV=production");
+  }
+}
+
+function firstHeader(req, name) {
+  const value = req.get(name);
+  return value ? value.split(",")[0].trim() : null;
+}
+
+function signedUrlCandidates(req) {
+  const proto = firstHeader(req, "X-Forwarded-Proto") || req.protocol;
+  const host  = firstHeader(req, "X-Forwarded-Host")  || req.get("Host");
+  const urls  = new Set([`${proto}://${host}${req.originalUrl}`]);
+  if (process.env.PUBLIC_URL) urls.add(`${process.env.PUBLIC_URL.replace(/\/+$/, "")}${req.originalUrl}`);
+  return [...urls];
+}
+
 export function validateTwilioSignature(req, res, next) {
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  if (!authToken) {
-    log.warn("security", "TWILIO_AUTH_TOKEN not set — skipping validation (UNSAFE)");
+  if (SIGNATURE_BYPASS) {
+    log.warn("security", `Signature check BYPASSED for ${req.originalUrl} (VOICE_WEBHOOK_AUTH_BYPASS)`);
     return next();
   }
-  const signature = req.headers["x-twilio-signature"] || "";
-  const url       = `${process.env.PUBLIC_URL}${req.originalUrl}`;
-  const params    = req.body || {};
-  if (!twilio.validateRequest(authToken, signature, url, params)) {
-    log.warn("security", "Invalid Twilio signature", { url });
+
+  const urls    = signedUrlCandidates(req);
+  const results = urls.map(url => telephony.validateRequest(req, url));
+  if (results.includes(null)) {
+    log.error("security", `${telephony.name} auth secret not set — rejecting webhook (set it, or VOICE_WEBHOOK_AUTH_BYPASS=true for local dev)`);
+    return res.status(403).send("Forbidden");
+  }
+  if (!results.includes(true)) {
+    log.warn("security", `Invalid ${telephony.name} signature`, { urls });
     return res.status(403).send("Forbidden");
   }
   return next();
 }
 
 /* =====================================================================
-   TWIML HELPERS
+   TWIML HELPERS — provider-neutral responses from utils/telephony
    ===================================================================== */
-function buildVoiceResponse({ twiml, message, actionUrl, hangup = false }) {
+function newResponse() {
+  return telephony.createResponse({ language: CFG.TTS_LANGUAGE, voice: CFG.TTS_VOICE });
+}
+
+function buildVoiceResponse({ twiml, message, actionUrl, hangup = false, state = null, slow = false, keypad = null }) {
   try {
     if (!twiml) {
       log.error("voice", "Missing twiml object in buildVoiceResponse");
@@ -155,9 +217,8 @@ function buildVoiceResponse({ twiml, message, actionUrl, hangup = false }) {
       log.error("voice", "Invalid message for buildVoiceResponse", { message });
       message = "Namaskar ji, thodi technical dikkat aa gayi. Kripya dobara try karein.";
     }
-    const sayOpts = { language: CFG.TTS_LANGUAGE, voice: CFG.TTS_VOICE };
     if (hangup) {
-      twiml.say(sayOpts, message);
+      twiml.say(message, { slow });
       twiml.hangup();
       return;
     }
@@ -165,17 +226,15 @@ function buildVoiceResponse({ twiml, message, actionUrl, hangup = false }) {
       log.error("voice", "Invalid actionUrl for buildVoiceResponse", { actionUrl });
       throw new Error("Missing or invalid actionUrl");
     }
-    const gather = twiml.gather({
-      input:           "speech",
-      action:          actionUrl,
-      method:          "POST",
-      language:        CFG.TTS_LANGUAGE,
-      timeout:         CFG.GATHER_TIMEOUT,
-      speechTimeout:   CFG.SPEECH_TIMEOUT,
-      profanityFilter: false,
-      bargeIn:         true,
-    });
-    gather.say(sayOpts, message);
+    twiml.gather({
+      actionUrl,
+      timeout:          CFG.GATHER_TIMEOUT,
+      speechTimeout:    stateTuning(state).speechTimeout,
+      bargeIn:          true,
+      partialResultUrl: partialUrl(),
+      numDigits:        keypad?.numDigits ?? null,
+      slow,
+    }, keypad ? `${message} ${keypad.prompt}` : message);
   } catch (err) {
     log.error("voice", `buildVoiceResponse error: ${err.message}`, { error: err });
     throw err;
@@ -185,6 +244,9 @@ function buildVoiceResponse({ twiml, message, actionUrl, hangup = false }) {
 function processUrl() {
   return `${process.env.PUBLIC_URL}/voice/process`;
 }
+function partialUrl() {
+  return `${process.env.PUBLIC_URL}/voice/partial`;
+}
 function sendTwiML(res, twiml) {
   try {
     if (!twiml || !res) {
@@ -196,7 +258,7 @@ function sendTwiML(res, twiml) {
       log.error("twiml", "Empty TwiML generated");
       return res.status(500).send("Internal server error");
     }
-    return res.type("text/xml").send(twimlStr);
+    return res.type(twiml.contentType).send(twimlStr);
   } catch (err) {
     log.error("twiml", `sendTwiML error: ${err.message}`, { error: err });
     return res ? res.status(500).send("Internal server error") : null;
@@ -204,7 +266,7 @@ function sendTwiML(res, twiml) {
 }
 function errorResponse(res, tag, logMsg, speakMsg) {
   log.error(tag, logMsg);
-  const twiml = new twilio.twiml.VoiceResponse();
+  const twiml = newResponse();
   buildVoiceResponse({ twiml, message: speakMsg, actionUrl: processUrl(), hangup: true });
   return sendTwiML(res, twiml);
 }
@@ -233,6 +295,14 @@ function createSession(callData, callSid) {
     machineNumber:   callData.machineNumber  || "",
     serviceType:     callData.serviceType    || "500 Hour",
     dueDate:         callData.dueDate        || "",
+    attemptNumber:   callData.attemptNumber   || 1,
+    originalCallSid: callData.originalCallSid || callSid,
+    callStatus:      null,
+    nextAttemptAt:   null,
+    ringingAt:           callData.ringingAt  || null,
+    answeredAt:          callData.answeredAt || null,
+    completedAt:         null,
+    callDurationSeconds: null,
     state:               "awaiting_initial_decision",
     preferredDate:       null,
     resolvedDate:        null,
@@ -246,10 +316,14 @@ function createSession(callData, callSid) {
     branchRetries:       0,
     confusionCount:      0,
     lowConfRetries:      0,
+    keypadMode:          false,
+    pressed:             null,
     slowSpeechRetries:   0,
     repeatCount:         0,
     confusionStreak:     0,
     outcome:             null,
+    handoff:             null,
+    agentOffered:        false,
     silenceRetries:      0,
     unknownStreak:       0,
     totalTurns:          0,
@@ -258,6 +332,7 @@ function createSession(callData, callSid) {
     lastRealMessage:     "",
     callStartedAt:       new Date(),
     ending:              false,
+    endedAt:             null,
     turns:               [],
   };
 }
@@ -278,11 +353,12 @@ function resolveOutcome(nextState, intent, session, previousState) {
    DB WRITER
    ===================================================================== */
 async function saveCallOutcome(session, outcome) {
+  let booking;
   try {
     const resolvedDisplay = session.resolvedDate?.display || session.preferredDate || null;
     const resolvedISO     = session.resolvedDate?.iso     || null;
 
-    await ServiceBooking.create({
+    booking = await ServiceBooking.create({
       callSid:       session.callSid,
       customerName:  session.customerName,
       customerPhone: session.customerPhone,
@@ -298,9 +374,18 @@ async function saveCallOutcome(session, outcome) {
       assignedBranchCity: session.assignedBranchCity || null,
       rejectionReason:    outcome === "rejected"     ? session.rejectionReason    : null,
       alreadyDoneDetails: outcome === "already_done" ? session.alreadyDoneDetails : null,
+      handoff:            session.handoff || null,
+      attemptNumber:   session.attemptNumber   || 1,
+      originalCallSid: session.originalCallSid || session.callSid,
+      callStatus:      session.callStatus      || null,
+      nextAttemptAt:   session.nextAttemptAt   || null,
       totalTurns:    session.totalTurns,
+      callDurationSeconds: session.callDurationSeconds ?? null,
       callStartedAt: session.callStartedAt,
       callEndedAt:   new Date(),
+      ringingAt:     session.ringingAt   || null,
+      answeredAt:    session.answeredAt  || null,
+      completedAt:   session.completedAt || null,
       turns:         session.turns,
     });
 
@@ -311,31 +396,108 @@ async function saveCallOutcome(session, outcome) {
     });
   } catch (err) {
     log.error("db", `Save failed: ${err.message}`, { callSid: session.callSid });
+    return;
+  }
+
+  /* The conversation ended while the call was still up — the hangup
+     callback may have written the call timing to the session after this
+     copy was taken but before the booking existed for it to update */
+  if (!booking.completedAt) {
+    try {
+      const stored = await sessionStore.get(session.callSid);
+      if (stored?.completedAt) await recordCallTiming(session.callSid, pickTiming(stored));
+    } catch (err) {
+      log.warn("db", `Timing re-check failed: ${err.message}`, { callSid: session.callSid });
+    }
+    // recordCallTiming queues the webhooks once the duration is known; if
+    // the hangup callback never comes, the webhook worker's sweep does
+    return;
+  }
+
+  await queueOutcomeWebhooks(session.callSid);
+}
+
+/* Outcome webhooks (config/webhooks.js) — queued once the call timing is
+   in, delivered by the worker */
+async function queueOutcomeWebhooks(callSid) {
+  try {
+    await publishBookingOutcome(callSid);
+  } catch (err) {
+    log.error("webhook", `Queue failed: ${err.message}`, { callSid });
+  }
+}
+
+/* In-call opt-out → do-not-call registry, retried once. False when the
+   number is unknown or could not be listed — the booking still ends as
+   "opted_out", so the request is not lost */
+async function recordOptOut(session, customerSaid) {
+  const { callSid, customerPhone } = session;
+  if (!customerPhone) {
+    log.warn("dnc", `Opt-out without a customer number`, { callSid });
+    return false;
+  }
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      await addDoNotCall({
+        phone:  customerPhone,
+        source: "in-call",
+        reason: "Customer asked not to be called again",
+        callSid,
+        customerSaid,
+      });
+      return true;
+    } catch (err) {
+      log.error("dnc", `Add failed (attempt ${attempt}): ${err.message}`, { callSid });
+    }
   }
+  return false;
 }
 
 /* =====================================================================
    SESSION CLEANUP
    ===================================================================== */
 async function endSession(callSid, reason, outcome = "no_response") {
-  const session = sessionStore.get(callSid);
-  if (session) session.ending = true;
+  // Claim the end atomically — a hangup callback racing the last turn
+  // must not save the outcome twice
+  let claimed = false;
+  let session = null;
+  try {
+    session = await sessionStore.update(callSid, s => {
+      claimed   = !s.endedAt;
+      s.ending  = true;
+      s.endedAt = s.endedAt || new Date();
+    });
+  } catch (err) {
+    log.error("session", `End claim failed: ${err.message}`, { callSid });
+  }
+  if (session && !claimed) {
+    log.info("session", `Already ended — ignoring ${reason}`, { callSid });
+    return;
+  }
+
   log.info("session", `Ended — ${reason} | outcome: ${outcome}`, { callSid });
   if (session) await saveCallOutcome(session, outcome);
-  setTimeout(() => { sessionStore.delete(callSid); }, 5000);
+  callEvents.emit(CALL_EVENT.ENDED, { callSid, reason, outcome });
+  setTimeout(() => { sessionStore.delete(callSid).catch(() => {}); }, 5000);
 }
 
 /* =====================================================================
    TURN LOGGER
    ===================================================================== */
 function appendTurn(session, { customerSaid, confidence, intent, systemReply }) {
+  // Partial results heard while listening for this answer (handlePartialResult)
+  const partial = session.partial?.turn === session.totalTurns - 1 ? session.partial : null;
+  const pressed = session.pressed?.turn === session.totalTurns ? session.pressed.digits : null;
   session.turns.push({
     turnNumber:   session.totalTurns,
     state:        session.state,
     customerSaid: customerSaid || "",
     confidence:   confidence ?? null,
     intent:       intent || null,
-    systemReply,
+    systemReply:  toPlainText(systemReply),
+    bargeIn:      Boolean(partial?.bargeIn),
+    actedEarly:   Boolean(partial?.early),
+    digits:       pressed,
   });
 }
 
@@ -431,7 +593,7 @@ const V = {
   greeting: (name, model, number, serviceType) =>
     `Namaskar ${name} ji! ` +
     `Main Priya bol rahi hoon, Rajesh Motors JCB Service se. ` +
-    `Aapki machine number ${number}, model ${model}, ki ${serviceType} service ka samay aa gaya hai. ` +
+    `Aapki machine number ${spellOut(number)}, model ${model}, ki ${serviceType} service ka samay aa gaya hai. ` +
     `Kya main is hafte ke liye booking kar sakti hoon?`,
 
   askDate: (name) =>
@@ -494,6 +656,11 @@ const V = {
     `Theek hai ${name} ji. Jab bhi zaroorat ho, Rajesh Motors ko call kijiye — ` +
     `hum hamesha taiyaar hain. Dhanyavaad!`,
 
+  voicemailReminder: (name, number, serviceType) =>
+    `Namaskar ${name} ji, main Priya, Rajesh Motors JCB Service se. ` +
+    `Aapki machine number ${spellOut(number)} ki ${serviceType} service ka samay aa gaya hai. ` +
+    `Booking ke liye kripya Rajesh Motors ko call kijiye. Dhanyavaad!`,
+
   noResponseEnd: (name) =>
     `${name} ji, koi awaaz nahi aayi. Main ek baar aur call karungi. Aapka aashirwad chahti hoon. Shukriya!`,
 
@@ -503,13 +670,54 @@ const V = {
 
   confusionFull: (name, machineNumber, serviceType) =>
     `Namaskar ${name} ji. Main Priya hoon, Rajesh Motors JCB Service se. ` +
-    `Aapke registered number par machine number ${machineNumber} ki ${serviceType} ` +
+    `Aapke registered number par machine number ${spellOut(machineNumber)} ki ${serviceType} ` +
     `ke baare mein call ki thi. Kya yeh aapki machine hai?`,
 
   offerAgent: (name) =>
     `${name} ji, lagta hai awaaz mein kuch takleef aa rahi hai. ` +
     `Kya aap chaahenge ki main aapko hamare senior agent se connect kar doon?`,
 
+  handoffConnecting: (name) =>
+    `Bilkul ${name} ji, main aapko hamare service desk se jod rahi hoon. Kripya line par bane rahiye.`,
+
+  handoffVoicemail: (name) =>
+    `${name} ji, maafi chahti hoon — abhi desk par koi uplabdh nahi hai. ` +
+    `Beep ke baad apna sandesh boliye, hamari team aapko jald call karegi.`,
+
+  handoffVoicemailSaved: (name) =>
+    `Shukriya ${name} ji, aapka sandesh mil gaya hai. Hamari team aapko jald call karegi. Dhanyavaad!`,
+
+  handoffNoMessage: (name) =>
+    `Koi baat nahi ${name} ji. Hamari team aapse jald sampark karegi. Dhanyavaad!`,
+
+  handoffEnded: (name) =>
+    `Baat karne ke liye shukriya ${name} ji. Dhanyavaad!`,
+
+  keypadIntro: (name) =>
+    `${name} ji, awaaz saaf nahi aa rahi — aap phone ke button dabakar bhi jawab de sakte hain.`,
+
+  keypadInvalid: (name) =>
+    `${name} ji, yeh button is sawaal ke liye nahi hai.`,
+
+  keypadBooking: () =>
+    `Service booking ke liye 1 dabaiye, nahi chahiye to 2 dabaiye.`,
+
+  keypadReason: () =>
+    `Service ki tarikh tay karne ke liye 1 dabaiye, nahi karwani to 2 dabaiye.`,
+
+  keypadConfirmDate: (displayDate) =>
+    `${displayDate} theek hai to 1 dabaiye, koi aur din chahiye to 2 dabaiye.`,
+
+  keypadDate: () =>
+    `Hafte ka din chunne ke liye 1 se 7 dabaiye — 1 somwar, 2 mangalwar, 3 budhwar, 4 guruwar, ` +
+    `5 shukrawar, 6 shaniwar, 7 raviwar. Ya tarikh do ankon mein dabaiye, jaise 0 5 ya 2 1.`,
+
+  keypadBranch: (menu) =>
+    `Machine jis shehar mein hai, uska number dabaiye aur phir hash — ${menu}.`,
+
+  keypadServiceDone: () =>
+    `Service ho chuki hai to 1 dabaiye.`,
+
   /* ── IMPROVED SILENCE FALLBACKS — v11 ── 
      Each retry has a unique, patient, contextual message.
      Improvement #4: "Sir kya aap sun paa rahe hain? Main [X] pooch rahi hoon." */
@@ -557,6 +765,9 @@ const V = {
   politeAskAgain: (name) =>
     `${name} ji, samajh nahi aaya. Kripya haan ya nahi boliye.`,
 
+  optOutNoted: (name) =>
+    `Bilkul ${name} ji, pareshani ke liye maafi chahti hoon. Aapki baat hamari team tak pahuncha di jayegi. Dhanyavaad!`,
+
   technicalError: (name) =>
     `${name} ji, thodi technical dikkat aa gayi. Hum jald dobara sampark karenge. Kshama kijiye!`,
 
@@ -580,6 +791,15 @@ const V = {
     `${name} ji, awaaz mein kuch takleef aa rahi hai. Main baad mein aapko call karungi. Shukriya!`,
 };
 
+/* =====================================================================
+   PROMPT CACHE — the fixed text of every V line, pre-rendered offline
+   by `npm run build-prompts` and played instead of <Say> where it
+   matches (utils/promptCache.js). server.js checks it at startup.
+   ===================================================================== */
+export function promptCatalogue() {
+  return { voice: CFG.TTS_VOICE, language: CFG.TTS_LANGUAGE, phrases: extractStaticPhrases(V) };
+}
+
 /* =====================================================================
    SLOW SPEECH RESPONSE ROTATOR
    ===================================================================== */
@@ -601,6 +821,58 @@ function getSlowSpeechFarewell(name) {
   );
 }
 
+/* =====================================================================
+   KEYPAD FALLBACK
+   After KEYPAD_AFTER_UNCLEAR unclear turns in a row (garbage audio or
+   low-confidence speech) every question also says which keys to press.
+   Gathers always accept keys; a key press switches the prompts on too.
+   ===================================================================== */
+const KEYPAD_CITY_MENU = KEYPAD_CENTERS
+  .map((center, i) => `${i + 1} ${center.city_name.toLowerCase().replace(/\b\w/g, c => c.toUpperCase())}`)
+  .join(", ");
+
+function keypadFor(session) {
+  if (!session.keypadMode) return null;
+  switch (session.state) {
+    case "awaiting_initial_decision":
+      return { prompt: V.keypadBooking(), numDigits: 1 };
+    case "awaiting_reason":
+    case "awaiting_reason_persisted":
+      return { prompt: V.keypadReason(), numDigits: 1 };
+    case "awaiting_date":
+      return { prompt: V.keypadDate(), numDigits: 2 };
+    case "awaiting_date_confirm":
+      return { prompt: V.keypadConfirmDate(session.resolvedDate?.display || session.preferredDate), numDigits: 1 };
+    case "awaiting_branch":
+      return { prompt: V.keypadBranch(KEYPAD_CITY_MENU), numDigits: String(KEYPAD_CENTERS.length).length };
+    case "awaiting_service_details":
+      return { prompt: V.keypadServiceDone(), numDigits: 1 };
+    default:
+      return null;
+  }
+}
+
+/** Counts an unclear turn; true when this one switches to keypad prompts. */
+function switchToKeypad(session) {
+  session.lowConfRetries = (session.lowConfRetries || 0) + 1;
+  if (session.keypadMode || session.lowConfRetries < CFG.KEYPAD_AFTER_UNCLEAR) return false;
+  session.keypadMode        = true;
+  session.confusionCount    = 0;
+  session.slowSpeechRetries = 0;
+  return true;
+}
+
+async function offerKeypad(res, session, { customerSaid, confidence, intent }) {
+  const twiml = newResponse();
+  const intro = V.keypadIntro(session.customerName);
+  log.info("input", `Switching to keypad prompts in ${session.state}`, { callSid: session.callSid });
+  appendTurn(session, { customerSaid, confidence, intent: `${intent}_keypad`, systemReply: intro });
+  session.lastMessage = intro;
+  await commitSession(session);
+  buildVoiceResponse({ twiml, message: intro, actionUrl: processUrl(), state: session.state, keypad: keypadFor(session) });
+  return sendTwiML(res, twiml);
+}
+
 /* =====================================================================
    SILENCE FALLBACK SELECTOR — Improvement #4 (v12) - FIXED BUG
    Repeats the EXACT last REAL question with rotating warm intros
@@ -628,30 +900,115 @@ function getSilenceFallback(session) {
   return `${intro}Maine pucha tha — ${lastQuestion}`;
 }
 
+/* =====================================================================
+   TURN SERIALISATION + DUPLICATE DELIVERIES
+   Webhooks for one CallSid run one at a time (sessionStore.withLock).
+   A delivery seen before — the provider retrying a slow reply — gets the
+   reply generated the first time instead of running the turn again.
+   Deliveries match on the provider's delivery id (Twilio's
+   I-Twilio-Idempotency-Token) or, without one, on a hash of the body
+   within DUPLICATE_WINDOW_MS; a genuine next turn cannot come that soon
+   because the reply has to be spoken first.
+   ===================================================================== */
+function deliveryKey(req, call) {
+  if (call.deliveryId) return `id:${call.deliveryId}`;
+  const body = req.body || {};
+  const canonical = JSON.stringify(Object.keys(body).sort().map(k => [k, body[k]]));
+  return `body:${crypto.createHash("sha256").update(canonical).digest("hex")}`;
+}
+
+function isDuplicateDelivery(session, key) {
+  const last = session?.lastDelivery;
+  if (!last || last.key !== key) return false;
+  return key.startsWith("id:") || Date.now() - new Date(last.at).getTime() < CFG.DUPLICATE_WINDOW_MS;
+}
+
+async function serialiseTurn(req, res, tag, handler) {
+  const call    = telephony.parseWebhook(req);
+  const callSid = call.callSid;
+  if (!callSid) return errorResponse(res, tag, "Missing CallSid", V.missingCallSid());
+
+  const key = deliveryKey(req, call);
+  let reply = null;
+  const send = res.send.bind(res);
+  res.send = (body) => { reply = body; return send(body); };
+
+  try {
+    await sessionStore.withLock(callSid, async () => {
+      let session;
+      try {
+        session = await sessionStore.get(callSid);
+      } catch (err) {
+        return errorResponse(res, tag, `Session lookup failed: ${err.message}`, V.noSession());
+      }
+
+      if (isDuplicateDelivery(session, key)) {
+        log.warn(tag, "Duplicate webhook delivery — replaying previous reply", { callSid });
+        return res.type(newResponse().contentType).send(session.lastDelivery.reply);
+      }
+
+      await handler(req, res, call, session);
+
+      if (reply !== null) {
+        await sessionStore
+          .update(callSid, s => { s.lastDelivery = { key, reply, at: new Date() }; })
+          .catch(err => log.warn(tag, `Could not remember reply: ${err.message}`, { callSid }));
+      }
+    });
+  } catch (err) {
+    if (res.headersSent) return log.error(tag, `Turn failed after reply: ${err.message}`, { callSid });
+    return errorResponse(res, tag, `Turn failed: ${err.message}`, V.technicalError("Namaskar"));
+  }
+}
+
 /* =====================================================================
    handleInitialCall
    ===================================================================== */
 async function handleInitialCall(req, res) {
-  const twiml   = new twilio.twiml.VoiceResponse();
-  const callSid = req.body?.CallSid;
+  return serialiseTurn(req, res, "greeting", greetCaller);
+}
+
+async function greetCaller(req, res, call, existing) {
+  const twiml   = newResponse();
+  const callSid = call.callSid;
 
-  if (!callSid) return errorResponse(res, "greeting", "Missing CallSid", V.missingCallSid());
+  /* Answer webhook again for a live call — keep the conversation going */
+  if (existing && !existing.ending) {
+    log.warn("greeting", "Session already exists — repeating last prompt", { callSid });
+    buildVoiceResponse({ twiml, message: existing.lastMessage, actionUrl: processUrl(), state: existing.state, keypad: keypadFor(existing) });
+    return sendTwiML(res, twiml);
+  }
 
-  const callData = callDataStore.get(callSid);
+  let callData;
+  try {
+    callData = await loadCallContext(callSid, req.query?.context);
+  } catch (err) {
+    return errorResponse(res, "greeting", `Call context lookup failed: ${err.message}`, V.noCallData());
+  }
   if (!callData)  return errorResponse(res, "greeting", `No callData for ${callSid}`, V.noCallData());
 
   const session = createSession(callData, callSid);
   const { customerName, machineModel, machineNumber, serviceType } = session;
 
+  /* Answering machine — leave the reminder after the beep and hang up */
+  const answeredBy = call.answeredBy || "";
+  if (answeredBy.startsWith("machine_") || answeredBy === "fax") {
+    return handleMachineAnswer(twiml, res, session, answeredBy);
+  }
+
   const greeting     = V.greeting(customerName, machineModel, machineNumber, serviceType);
   session.lastMessage = greeting;
   session.lastRealMessage = greeting;
-  sessionStore.set(callSid, session);
+  try {
+    await sessionStore.create(callSid, session);
+  } catch (err) {
+    return errorResponse(res, "greeting", `Session store failed: ${err.message}`, V.noCallData());
+  }
 
   log.info("greeting", `→ ${customerName}`, { callSid, machineModel, machineNumber });
 
   try {
-    buildVoiceResponse({ twiml, message: greeting, actionUrl: processUrl() });
+    buildVoiceResponse({ twiml, message: greeting, actionUrl: processUrl(), state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   } catch (err) {
     log.error("greeting", `Failed to build greeting response: ${err.message}`, { callSid });
@@ -659,62 +1016,286 @@ async function handleInitialCall(req, res) {
   }
 }
 
+/* =====================================================================
+   ANSWERING MACHINE — voicemail reminder instead of the greeting
+   ===================================================================== */
+async function handleMachineAnswer(twiml, res, session, answeredBy) {
+  const { callSid, customerName, machineNumber, serviceType } = session;
+  const isFax = answeredBy === "fax";
+  const msg   = isFax ? "" : V.voicemailReminder(customerName, machineNumber, serviceType);
+
+  log.info("amd", `Answered by ${answeredBy} — ${isFax ? "hanging up" : "leaving reminder"}`, { callSid });
+
+  session.ending = true;
+  appendTurn(session, { customerSaid: "", confidence: null, intent: answeredBy, systemReply: msg || "[hangup]" });
+  try {
+    await sessionStore.create(callSid, session);
+  } catch (err) {
+    log.error("amd", `Session store failed: ${err.message}`, { callSid });
+  }
+  await endSession(callSid, `amd_${answeredBy}`, isFax ? "no_response" : "voicemail");
+
+  if (isFax) twiml.hangup();
+  else buildVoiceResponse({ twiml, message: msg, actionUrl: processUrl(), hangup: true });
+  return sendTwiML(res, twiml);
+}
+
+/* =====================================================================
+   CALL CONTEXT — by CallSid, or by the dialer's key from the webhook URL
+   when the call connected before its CallSid was stored
+   ===================================================================== */
+const CONTEXT_KEY_RE = /^ctx_[0-9a-f-]{36}$/;
+
+async function loadCallContext(callSid, contextKey) {
+  const callData = await callContextStore.get(callSid);
+  if (callData || !CONTEXT_KEY_RE.test(contextKey || "")) return callData;
+  log.info("context", "Context found by dial key — CallSid not stored yet", { callSid });
+  const keyed = await callContextStore.get(contextKey);
+  return keyed && { ...keyed, originalCallSid: keyed.originalCallSid || callSid };
+}
+
 /* =====================================================================
    handleStatusCallback
+   Twilio posts ringing / in-progress (answered) / completed for every
+   call, or busy / failed / no-answer / canceled when it never connects.
    ===================================================================== */
 async function handleStatusCallback(req, res) {
-  const callSid    = req.body?.CallSid;
-  const callStatus = req.body?.CallStatus;
+  const call = telephony.parseWebhook(req);
 
   res.sendStatus(204);
-  if (!callSid) return;
+  if (!call.callSid) return;
+
+  // Waits for an in-flight turn — a hangup must not race the last reply
+  try {
+    await sessionStore.withLock(call.callSid, () => applyCallStatus(call, req.query?.context));
+  } catch (err) {
+    log.error("status", `Status update failed: ${err.message}`, { callSid: call.callSid });
+  }
+}
+
+async function applyCallStatus(call, contextKey) {
+  const callSid    = call.callSid;
+  const callStatus = call.callStatus;
+  const at         = call.timestamp || new Date();
+
+  /* Progress events — remember when the phone rang / was picked up */
+  const progressField = { "ringing": "ringingAt", "in-progress": "answeredAt" }[callStatus];
+  if (progressField) {
+    try {
+      await sessionStore.update(callSid, s => { s[progressField] = at; });
+      await callContextStore.update(callSid, { [progressField]: at });
+    } catch (err) {
+      log.warn("status", `${progressField} update failed: ${err.message}`, { callSid });
+    }
+    return;
+  }
 
   const terminalStatuses = ["completed","busy","failed","no-answer","canceled"];
-  if (terminalStatuses.includes(callStatus) && sessionStore.has(callSid)) {
-    log.info("status", `Hangup detected — status: ${callStatus}`, { callSid });
-    await endSession(callSid, `hangup_${callStatus}`, "no_response");
+  if (!terminalStatuses.includes(callStatus)) return;
+
+  const timing = {
+    completedAt:         at,
+    callDurationSeconds: call.durationSeconds,
+  };
+
+  // Timing goes on the session even once it is ending — a booking still
+  // being written picks it up from there (saveCallOutcome)
+  let session;
+  try {
+    session = await sessionStore.update(callSid, s => {
+      Object.assign(s, timing);
+      if (s.ending) return;
+      // Hung up during the transfer, or after the voicemail beep without a message
+      if (s.handoff && !s.handoff.result) s.handoff.result = s.handoff.voicemailAt ? "no_message" : "caller_hung_up";
+    });
+  } catch (err) {
+    log.error("status", `Session lookup failed: ${err.message}`, { callSid });
+    return;
+  }
+
+  if (session && !session.ending) {
+    log.info("status", `Hangup detected — status: ${callStatus}`, { callSid, duration: timing.callDurationSeconds });
+    await endSession(callSid, `hangup_${callStatus}`, session.handoff ? "handed_off" : "no_response");
+    return;
   }
+
+  /* Conversation already saved its outcome — add the real call duration */
+  if (session || callStatus === "completed") {
+    await recordCallTiming(callSid, timing);
+    return;
+  }
+
+  /* Never answered — POST /voice was not hit, so there is no session */
+  await handleUnansweredCall(callSid, callStatus, call.to, timing, contextKey);
+}
+
+function pickTiming(session) {
+  return { completedAt: session.completedAt, callDurationSeconds: session.callDurationSeconds ?? null };
+}
+
+async function recordCallTiming(callSid, timing) {
+  try {
+    const { matchedCount } = await ServiceBooking.updateOne({ callSid }, { $set: timing });
+    if (!matchedCount) {
+      // Booking not written yet — saveCallOutcome reads the timing from the session
+      log.info("status", "No booking yet to attach call duration to", { callSid });
+      return;
+    }
+    log.info("status", `Call completed — ${timing.callDurationSeconds ?? "?"}s`, { callSid });
+  } catch (err) {
+    log.error("status", `Duration update failed: ${err.message}`, { callSid });
+    return;
+  }
+  await queueOutcomeWebhooks(callSid);
 }
 
 /* =====================================================================
-   handleUserInput  — Main conversation handler
+   UNANSWERED CALL — record the attempt and apply the redial policy
    ===================================================================== */
-async function handleUserInput(req, res) {
-  const twiml     = new twilio.twiml.VoiceResponse();
-  const callSid   = req.body?.CallSid;
-  const rawSpeech = (req.body?.SpeechResult || "").trim();
-  const rawConf   = req.body?.Confidence;
-  const confidence = rawConf !== undefined ? parseFloat(rawConf) : 1.0;
-  const action    = processUrl();
-
-  if (!callSid) return errorResponse(res, "input", "Missing CallSid", V.missingCallSid());
+async function handleUnansweredCall(callSid, callStatus, to, timing, contextKey) {
+  let callData;
+  try {
+    callData = await loadCallContext(callSid, contextKey);
+  } catch (err) {
+    log.error("status", `Call context lookup failed: ${err.message}`, { callSid });
+    return;
+  }
+  if (!callData) {
+    log.warn("status", `No callData for unanswered call — status: ${callStatus}`, { callSid });
+    return;
+  }
 
-  let session = sessionStore.get(callSid);
+  const session = createSession(callData, callSid);
+  Object.assign(session, timing);
+  session.callStatus = callStatus;
+  session.ending     = true;
 
-  /* Session recovery from backup */
-  if (!session && fs.existsSync(SESSION_BACKUP_FILE)) {
+  const redialTo = callData.customerPhone || to;
+  const redial   = redialTo ? planRedial({ callStatus, attemptNumber: session.attemptNumber }) : null;
+  if (redial) {
     try {
-      const data = JSON.parse(fs.readFileSync(SESSION_BACKUP_FILE, "utf8"));
-      if (data[callSid]) {
-        data[callSid].callStartedAt = new Date(data[callSid].callStartedAt);
-        if (!data[callSid].lastRealMessage) {
-          data[callSid].lastRealMessage = data[callSid].lastMessage || "";
-        }
-        sessionStore.set(callSid, data[callSid]);
-        session = data[callSid];
-        log.info("session", `Recovered missing session from backup: ${callSid}`);
-      }
+      await scheduleDial(redial.at, {
+        to:              redialTo,
+        customerName:    callData.customerName,
+        machineModel:    callData.machineModel,
+        machineNumber:   callData.machineNumber,
+        serviceType:     callData.serviceType,
+        dueDate:         callData.dueDate,
+        attemptNumber:   redial.attemptNumber,
+        originalCallSid: session.originalCallSid,
+      }, "redial");
+      session.nextAttemptAt = redial.at;
+      log.info("redial", `Attempt ${redial.attemptNumber} scheduled after ${callStatus}`, {
+        callSid,
+        originalCallSid: session.originalCallSid,
+        at:              redial.at.toISOString(),
+      });
     } catch (err) {
-      log.warn("session", `Failed to recover session from backup: ${err.message}`);
+      log.error("redial", `Could not queue redial: ${err.message}`, { callSid });
     }
   }
 
+  log.info("status", `Unanswered — status: ${callStatus} | attempt ${session.attemptNumber}`, { callSid });
+  await saveCallOutcome(session, "no_response");
+  callEvents.emit(CALL_EVENT.ENDED, { callSid, reason: `unanswered_${callStatus}`, outcome: "no_response" });
+}
+
+/* =====================================================================
+   handlePartialResult — speech so far, posted while the caller talks
+   Notes when the caller started (barge-in = before the prompt could have
+   finished) and, for a complete early answer allowed in this state
+   (CFG.STATE_TUNING), redirects the call to /voice/process?early=1 so the
+   turn runs without waiting out the speech timeout.
+   ===================================================================== */
+function promptEndsAt(session) {
+  const sentAt = new Date(session.lastDelivery?.at ?? new Date()).getTime();
+  const prompt = session.turns.at(-1)?.systemReply ?? session.lastMessage ?? "";
+  return sentAt + (prompt.length / CFG.TTS_CHARS_PER_SECOND) * 1000;
+}
+
+async function handlePartialResult(req, res) {
+  const call    = telephony.parseWebhook(req);
+  const callSid = call.callSid;
+  const speech  = (call.partialSpeech || "").trim();
+
+  res.sendStatus(204);
+  if (!callSid || !speech) return;
+
+  const now = new Date();
+  let session;
+  try {
+    session = await sessionStore.update(callSid, s => {
+      if (s.ending || s.partial?.turn === s.totalTurns) return;
+      s.partial = { turn: s.totalTurns, firstAt: now, bargeIn: now.getTime() < promptEndsAt(s), early: null };
+    });
+  } catch (err) {
+    log.warn("partial", `Session update failed: ${err.message}`, { callSid });
+    return;
+  }
+  if (!session || session.ending || session.partial.early) return;
+  if ((call.partialUnstable || "").trim()) return;   // recogniser still hearing more
+
+  const intent = detectEarlyIntent(speech);
+  if (!intent || !stateTuning(session.state).earlyIntents.includes(intent)) return;
+
+  // Under the call lock, so a final result already being handled wins
+  const turn = session.partial.turn;
+  const setEarly = (early) => sessionStore.update(callSid, s => {
+    if (s.partial?.turn === turn) s.partial.early = early;
+  });
+  try {
+    await sessionStore.withLock(callSid, async () => {
+      const current = await sessionStore.get(callSid);
+      if (!current || current.ending || current.totalTurns !== turn || current.partial?.early) return;
+
+      await setEarly({ speech, intent, confidence: null });
+      try {
+        await telephony.redirectCall(callSid, `${processUrl()}?early=1`);
+        log.info("partial", `Acting early on "${speech}" (${intent})`, { callSid });
+      } catch (err) {
+        await setEarly(null);
+        throw err;
+      }
+    });
+  } catch (err) {
+    log.warn("partial", `Early answer failed: ${err.message}`, { callSid });
+  }
+}
+
+/* =====================================================================
+   handleUserInput  — Main conversation handler
+   ===================================================================== */
+async function handleUserInput(req, res) {
+  return serialiseTurn(req, res, "input", runTurn);
+}
+
+async function runTurn(req, res, call, session) {
+  const twiml     = newResponse();
+  const callSid   = call.callSid;
+  let rawSpeech   = (call.speech || "").trim();
+  let confidence  = call.confidence ?? 1.0;
+  const action    = processUrl();
+
   if (!session) return errorResponse(res, "input", `No session for ${callSid}`, V.noSession());
 
-  /* Hangup protection */
-  if (session.ending) {
+  /* Hangup protection — also nothing to answer once the call is with a person */
+  if (session.ending || session.handoff) {
     log.warn("input", "Session already ending — ignoring ghost request", { callSid });
-    return sendTwiML(res, new twilio.twiml.VoiceResponse());
+    return sendTwiML(res, newResponse());
+  }
+
+  /* Redirected here by handlePartialResult — answer from the partial result */
+  if (req.query?.early === "1") {
+    const early = session.partial?.turn === session.totalTurns ? session.partial.early : null;
+    if (!early) {
+      // The final result got here first and was handled — just re-ask
+      log.info("input", "Early redirect for a finished turn — repeating prompt", { callSid });
+      buildVoiceResponse({ twiml, message: session.lastMessage, actionUrl: action, state: session.state, keypad: keypadFor(session) });
+      return sendTwiML(res, twiml);
+    }
+    rawSpeech  = early.speech;
+    confidence = early.confidence ?? 1.0;
+    log.info("input", `Early answer from partial result: "${rawSpeech}"`, { callSid });
   }
 
   session.totalTurns += 1;
@@ -731,11 +1312,35 @@ async function handleUserInput(req, res) {
   if (session.totalTurns > CFG.MAX_TOTAL_TURNS) {
     const msg = V.noResponseEnd(name);
     appendTurn(session, { customerSaid: rawSpeech, confidence: null, intent: "max_turns", systemReply: msg });
+    await commitSession(session);
     await endSession(callSid, "max_turns", "no_response");
     buildVoiceResponse({ twiml, message: msg, actionUrl: action, hangup: true });
     return sendTwiML(res, twiml);
   }
 
+  /* ══════════════════════════════════════════
+     KEYPAD ANSWER — the keys become the words they
+     stand for and go through the same steps as speech
+     ══════════════════════════════════════════ */
+  let pickedBranch = null;
+  if (call.digits) {
+    const spoken = keypadToSpeech(call.digits, session.state);
+    if (session.state === "awaiting_branch") pickedBranch = keypadBranch(call.digits);
+    log.info("input", `Keypad ${call.digits} → ${spoken ? `"${spoken}"` : "no match"}`, { callSid });
+    session.pressed    = { turn: session.totalTurns, digits: call.digits };
+    session.keypadMode = true;
+
+    if (!spoken) {
+      const msg = V.keypadInvalid(name);
+      appendTurn(session, { customerSaid: "", confidence: null, intent: "keypad_invalid", systemReply: msg });
+      await commitSession(session);
+      buildVoiceResponse({ twiml, message: msg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
+      return sendTwiML(res, twiml);
+    }
+    rawSpeech  = spoken;
+    confidence = 1.0;
+  }
+
   /* ══════════════════════════════════════════
      SILENCE HANDLING — Improvement #4
      3 patient, unique, state-aware retries
@@ -747,19 +1352,17 @@ async function handleUserInput(req, res) {
     if (session.silenceRetries > CFG.MAX_SILENCE_RETRIES) {
       const farewell = V.noResponseEnd(name);
       appendTurn(session, { customerSaid: "", confidence: null, intent: "silence_max", systemReply: farewell });
-      sessionStore.set(callSid, session);
+      await commitSession(session);
       await endSession(callSid, "max_silence", "no_response");
       buildVoiceResponse({ twiml, message: farewell, actionUrl: action, hangup: true });
-      saveSessionBackup();
       return sendTwiML(res, twiml);
     }
 
     const fallback = getSilenceFallback(session);
     appendTurn(session, { customerSaid: "", confidence: null, intent: "silence", systemReply: fallback });
     session.lastMessage = fallback;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: fallback, actionUrl: action });
-    saveSessionBackup();
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: fallback, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     log.info("input", `Silence retry ${session.silenceRetries}/${CFG.MAX_SILENCE_RETRIES}`, { callSid });
     return sendTwiML(res, twiml);
   }
@@ -782,7 +1385,7 @@ async function handleUserInput(req, res) {
         const farewell = V.greetingConfusionLimit(name);
         appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "greeting_confusion_max", systemReply: farewell });
         session.ending = true;
-        sessionStore.set(callSid, session);
+        await commitSession(session);
         await endSession(callSid, "greeting_confusion_max", "no_response");
         buildVoiceResponse({ twiml, message: farewell, actionUrl: action, hangup: true });
         return sendTwiML(res, twiml);
@@ -793,8 +1396,8 @@ async function handleUserInput(req, res) {
       const confMsg = buildSmartConfusionResponse(session);
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "greeting_confusion", systemReply: confMsg });
       session.lastMessage = confMsg;
-      sessionStore.set(callSid, session);
-      buildVoiceResponse({ twiml, message: confMsg, actionUrl: action });
+      await commitSession(session);
+      buildVoiceResponse({ twiml, message: confMsg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
       return sendTwiML(res, twiml);
     }
   }
@@ -806,11 +1409,13 @@ async function handleUserInput(req, res) {
     session.confusionCount = (session.confusionCount || 0) + 1;
     log.warn("input", `Garbage audio #${session.confusionCount} | conf=${confidence.toFixed(2)} | len=${rawSpeech.length}`, { callSid });
 
+    if (switchToKeypad(session)) return offerKeypad(res, session, { customerSaid: rawSpeech, confidence, intent: "garbage_audio" });
+
     if (session.confusionCount >= 3) {
       const farewell = V.greetingConfusionLimit(name);
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "garbage_audio_max", systemReply: farewell });
       session.ending = true;
-      sessionStore.set(callSid, session);
+      await commitSession(session);
       await endSession(callSid, "garbage_audio_max", "no_response");
       buildVoiceResponse({ twiml, message: farewell, actionUrl: action, hangup: true });
       return sendTwiML(res, twiml);
@@ -820,8 +1425,8 @@ async function handleUserInput(req, res) {
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "garbage_audio", systemReply: shortGreet });
     session.lastMessage = shortGreet;
     session.lastRealMessage = shortGreet;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: shortGreet, actionUrl: action });
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: shortGreet, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -844,6 +1449,7 @@ async function handleUserInput(req, res) {
     nlpResult = await withTimeout(
       Promise.resolve(processUserInput(rawSpeech, {
         ...session,
+        pickedBranch,
         retries:         session.silenceRetries,
         unknownStreak:   session.unknownStreak,
         persuasionCount: session.persuasionCount,
@@ -855,13 +1461,46 @@ async function handleUserInput(req, res) {
     const errMsg = V.technicalError(name);
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "nlp_error", systemReply: errMsg });
     session.ending = true;
-    sessionStore.set(callSid, session);
+    await commitSession(session);
     await endSession(callSid, "nlp_error", "no_response");
     buildVoiceResponse({ twiml, message: errMsg, actionUrl: action, hangup: true });
     return sendTwiML(res, twiml);
   }
 
-  let intent = simpleIntent?.intent || nlpResult.intent || "unknown";
+  // "call mat karo" trips the REJECT keyword — an opt-out (or a request for
+  // a person) always wins
+  let intent = [INTENT.OPT_OUT, INTENT.HUMAN_HANDOFF].includes(nlpResult.intent)
+    ? nlpResult.intent
+    : simpleIntent?.intent || nlpResult.intent || "unknown";
+
+  /* ══════════════════════════════════════════
+     STEP 4b: OPT OUT — "dobara call mat karna"
+     ══════════════════════════════════════════ */
+  if (intent === INTENT.OPT_OUT) {
+    log.info("input", `Customer opted out`, { callSid });
+    const listed = await recordOptOut(session, rawSpeech);
+
+    // Only promise "number hata diya" once the entry is actually written
+    const goodbye = listed ? nlpResult.replyText : V.optOutNoted(name);
+    appendTurn(session, { customerSaid: rawSpeech, confidence, intent, systemReply: goodbye });
+    session.state  = "ended";
+    session.ending = true;
+    await commitSession(session);
+    await endSession(callSid, "end_opted_out", "opted_out");
+    buildVoiceResponse({ twiml, message: goodbye, actionUrl: action, hangup: true });
+    return sendTwiML(res, twiml);
+  }
+
+  /* ══════════════════════════════════════════
+     STEP 4c: HUMAN HANDOFF — "kisi insaan se baat karao",
+     or "haan" to the agent offer (STEP 8)
+     ══════════════════════════════════════════ */
+  const acceptedAgentOffer = session.agentOffered && intent === INTENT.CONFIRM;
+  session.agentOffered = false;
+  if (intent === INTENT.HUMAN_HANDOFF || acceptedAgentOffer) {
+    const reason = acceptedAgentOffer ? "agent_offer_accepted" : "customer_asked";
+    return startHandoff(res, session, { reason, customerSaid: rawSpeech, confidence, intent });
+  }
 
   /* ══════════════════════════════════════════
      STEP 5: POST-NLP UNCLEAR SPEECH
@@ -870,11 +1509,13 @@ async function handleUserInput(req, res) {
     session.slowSpeechRetries = (session.slowSpeechRetries || 0) + 1;
     log.warn("input", `Unclear speech #${session.slowSpeechRetries} | conf=${confidence.toFixed(2)}`, { callSid });
 
+    if (switchToKeypad(session)) return offerKeypad(res, session, { customerSaid: rawSpeech, confidence, intent: "slow_speech" });
+
     if (session.slowSpeechRetries >= CFG.MAX_SLOW_SPEECH_RETRIES) {
       const farewell = getSlowSpeechFarewell(name);
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "slow_speech_max", systemReply: farewell });
       session.ending = true;
-      sessionStore.set(callSid, session);
+      await commitSession(session);
       await endSession(callSid, "slow_speech_max", "no_response");
       buildVoiceResponse({ twiml, message: farewell, actionUrl: action, hangup: true });
       return sendTwiML(res, twiml);
@@ -884,12 +1525,13 @@ async function handleUserInput(req, res) {
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "slow_speech", systemReply: slowMsg });
     session.lastMessage = slowMsg;
     session.lastRealMessage = slowMsg;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: slowMsg, actionUrl: action });
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: slowMsg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
   session.slowSpeechRetries = 0;
+  session.lowConfRetries    = 0;
 
   /* ══════════════════════════════════════════
      STEP 6: RESET CONFUSION ON VALID INTENT
@@ -913,9 +1555,8 @@ async function handleUserInput(req, res) {
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "confirm_ask", systemReply: confirmMsg });
     session.lastMessage = confirmMsg;
     session.lastRealMessage = confirmMsg;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: confirmMsg, actionUrl: action });
-    saveSessionBackup();
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: confirmMsg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -934,6 +1575,7 @@ async function handleUserInput(req, res) {
     let repeatMsg;
     if (session.repeatCount > CFG.MAX_REPEAT_COUNT) {
       repeatMsg = V.offerAgent(name);
+      session.agentOffered = true;
       log.warn("input", `Repeat loop — offering agent`, { callSid });
     } else {
       // Smart repeat: exact last question with warm intro
@@ -941,8 +1583,9 @@ async function handleUserInput(req, res) {
     }
 
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent, systemReply: repeatMsg });
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: repeatMsg, actionUrl: action });
+    await commitSession(session);
+    // Slower the second time round
+    buildVoiceResponse({ twiml, message: repeatMsg, actionUrl: action, state: session.state, slow: true, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -959,8 +1602,8 @@ async function handleUserInput(req, res) {
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent, systemReply: confusionMsg });
     session.lastMessage = confusionMsg;
     session.lastRealMessage = confusionMsg;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: confusionMsg, actionUrl: action });
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: confusionMsg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -973,8 +1616,8 @@ async function handleUserInput(req, res) {
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "filler_confirm", systemReply: rephrase });
     session.lastMessage = rephrase;
     session.lastRealMessage = rephrase;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: rephrase, actionUrl: action });
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: rephrase, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -993,19 +1636,17 @@ async function handleUserInput(req, res) {
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "already_done_completed", systemReply: thankYouMsg });
       session.state   = "ended";
       session.ending  = true;
-      sessionStore.set(callSid, session);
+      await commitSession(session);
       await endSession(callSid, "end_already_done", "already_done");
       buildVoiceResponse({ twiml, message: thankYouMsg, actionUrl: action, hangup: true });
-      saveSessionBackup();
       return sendTwiML(res, twiml);
     } else {
       const retryMsg = V.askAlreadyDoneDetails(name);
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "already_done_retry", systemReply: retryMsg });
       session.lastMessage = retryMsg;
       session.lastRealMessage = retryMsg;
-      sessionStore.set(callSid, session);
-      buildVoiceResponse({ twiml, message: retryMsg, actionUrl: action });
-      saveSessionBackup();
+      await commitSession(session);
+      buildVoiceResponse({ twiml, message: retryMsg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
       return sendTwiML(res, twiml);
     }
   }
@@ -1017,9 +1658,8 @@ async function handleUserInput(req, res) {
     session.state       = "awaiting_service_details";
     session.lastMessage = detailsMsg;
     session.lastRealMessage = detailsMsg;
-    sessionStore.set(callSid, session);
-    saveSessionBackup();
-    buildVoiceResponse({ twiml, message: detailsMsg, actionUrl: action });
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: detailsMsg, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -1058,11 +1698,15 @@ async function handleUserInput(req, res) {
   if (nextState === "awaiting_branch") {
     session.branchRetries = (session.branchRetries || 0) + 1;
     if (session.branchRetries >= 3) {
+      if (hasHandoffDesk(session)) {
+        log.warn("input", "Branch retry limit — handing off to a desk", { callSid });
+        return startHandoff(res, session, { reason: "branch_retries", customerSaid: rawSpeech, confidence, intent });
+      }
       log.warn("input", "Branch retry limit — offering agent", { callSid });
       const msg = V.offerAgent(name);
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent, systemReply: msg });
       session.ending = true;
-      sessionStore.set(callSid, session);
+      await commitSession(session);
       await endSession(callSid, "branch_max_retries", "no_response");
       buildVoiceResponse({ twiml, message: msg, actionUrl: action, hangup: true });
       return sendTwiML(res, twiml);
@@ -1151,9 +1795,14 @@ async function handleUserInput(req, res) {
     log.warn("input", `Unknown retry #${session.retryCount}`, { callSid });
 
     if (session.retryCount >= 3) {
+      // The bot cannot follow — a person can
+      if (hasHandoffDesk(session)) {
+        log.warn("input", "Unknown retry limit — handing off to a desk", { callSid });
+        return startHandoff(res, session, { reason: "unknown_max", customerSaid: rawSpeech, confidence, intent: "unknown_max" });
+      }
       const farewell = V.unknownFallbackMax(name);
       appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "unknown_max", systemReply: farewell });
-      sessionStore.set(callSid, session);
+      await commitSession(session);
       await endSession(callSid, "unknown_max", "no_response");
       buildVoiceResponse({ twiml, message: farewell, actionUrl: action, hangup: true });
       return sendTwiML(res, twiml);
@@ -1164,8 +1813,8 @@ async function handleUserInput(req, res) {
     appendTurn(session, { customerSaid: rawSpeech, confidence, intent: "unknown_redirect", systemReply: finalReplyText });
     session.lastMessage = finalReplyText;
     session.lastRealMessage = finalReplyText;
-    sessionStore.set(callSid, session);
-    buildVoiceResponse({ twiml, message: finalReplyText, actionUrl: action });
+    await commitSession(session);
+    buildVoiceResponse({ twiml, message: finalReplyText, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     return sendTwiML(res, twiml);
   }
 
@@ -1181,7 +1830,7 @@ async function handleUserInput(req, res) {
   session.lastMessage = finalReplyText;
   session.lastRealMessage = finalReplyText;
   session.state       = nextState;
-  sessionStore.set(callSid, session);
+  await commitSession(session);
 
   log.info("input", `→ ${nextState} | intent: ${intent}`, {
     callSid,
@@ -1197,8 +1846,8 @@ async function handleUserInput(req, res) {
       await endSession(callSid, `end_${nextState}`, callOutcome);
       buildVoiceResponse({ twiml, message: finalReplyText, actionUrl: action, hangup: true });
     } else {
-      sessionStore.set(callSid, session);
-      buildVoiceResponse({ twiml, message: finalReplyText, actionUrl: action });
+      await commitSession(session);
+      buildVoiceResponse({ twiml, message: finalReplyText, actionUrl: action, state: session.state, keypad: keypadFor(session) });
     }
     return sendTwiML(res, twiml);
   } catch (err) {
@@ -1223,6 +1872,189 @@ function isGenuineConfirm(userText, state) {
   return true;
 }
 
+/* =====================================================================
+   HUMAN HANDOFF
+   <Dial> the assigned branch's service desk (config/handoff.js), or the
+   central desk while the branch is unknown. The desk leg's result posts
+   to /voice/handoff: answered → goodbye; not answered → voicemail, whose
+   recording posts to /voice/handoff/voicemail. session.handoff is saved
+   as ServiceBooking.handoff with outcome "handed_off".
+   ===================================================================== */
+function handoffUrl(step = "") {
+  return `${process.env.PUBLIC_URL}/voice/handoff${step}`;
+}
+
+function handoffDesk(branchCode) {
+  const branchNumber = branchCode ? handoffConfig.branchDesks[branchCode] : null;
+  if (branchNumber)              return { desk: "branch",  number: branchNumber };
+  if (handoffConfig.centralDesk) return { desk: "central", number: handoffConfig.centralDesk };
+  return null;
+}
+
+function hasHandoffDesk(session) {
+  return Boolean(handoffDesk(session.assignedBranchCode));
+}
+
+async function startHandoff(res, session, { reason, customerSaid = "", confidence = null, intent }) {
+  const twiml   = newResponse();
+  const callSid = session.callSid;
+  const desk    = handoffDesk(session.assignedBranchCode);
+
+  session.handoff = {
+    reason,
+    state:            session.state,
+    desk:             desk?.desk   || null,
+    deskNumber:       desk?.number || null,
+    branchCode:       desk?.desk === "branch" ? session.assignedBranchCode : null,
+    requestedAt:      new Date(),
+    dialStatus:       null,
+    talkSeconds:      null,
+    voicemailAt:      null,
+    voicemailUrl:     null,
+    voicemailSeconds: null,
+    result:           null,
+  };
+
+  if (!desk) {
+    log.warn("handoff", `No desk number configured — straight to voicemail (${reason})`, { callSid });
+    return offerVoicemail(res, session, { customerSaid, confidence, intent });
+  }
+
+  const msg = V.handoffConnecting(session.customerName);
+  appendTurn(session, { customerSaid, confidence, intent, systemReply: msg });
+  session.lastMessage = msg;
+  await commitSession(session);
+
+  log.info("handoff", `Dialing ${desk.desk} desk (${reason})`, {
+    callSid,
+    state:  session.handoff.state,
+    branch: session.handoff.branchCode || "N/A",
+  });
+  twiml.say(msg);
+  twiml.dial({ number: desk.number, actionUrl: handoffUrl(), timeout: handoffConfig.ringSeconds });
+  return sendTwiML(res, twiml);
+}
+
+async function offerVoicemail(res, session, { customerSaid = "", confidence = null, intent }) {
+  const twiml = newResponse();
+  const name  = session.customerName;
+  const msg   = V.handoffVoicemail(name);
+
+  session.handoff.voicemailAt = new Date();
+  appendTurn(session, { customerSaid, confidence, intent, systemReply: msg });
+  session.lastMessage = msg;
+  await commitSession(session);
+
+  twiml.say(msg);
+  twiml.record({ actionUrl: handoffUrl("/voicemail"), maxLength: handoffConfig.voicemailSeconds });
+  // Nothing recorded → the provider skips the action and carries on here
+  twiml.say(V.handoffNoMessage(name));
+  twiml.hangup();
+  return sendTwiML(res, twiml);
+}
+
+/* The call already ended (caller hung up mid-transfer) — patch the saved booking */
+async function recordLateHandoff(callSid, fields) {
+  const update = Object.fromEntries(Object.entries(fields).map(([k, v]) => [`handoff.${k}`, v ?? null]));
+  try {
+    const { matchedCount } = await ServiceBooking.updateOne({ callSid, handoff: { $ne: null } }, { $set: update });
+    if (!matchedCount) log.warn("handoff", "No handed-off booking to update", { callSid });
+    else log.info("handoff", "Booking updated after the call ended", { callSid, ...fields });
+  } catch (err) {
+    log.error("handoff", `Late handoff update failed: ${err.message}`, { callSid });
+  }
+}
+
+async function handleHandoffDial(req, res) {
+  return serialiseTurn(req, res, "handoff", afterHandoffDial);
+}
+
+async function afterHandoffDial(req, res, call, session) {
+  const callSid   = call.callSid;
+  const connected = ["completed", "answered"].includes(call.dialStatus);
+  const leg       = { dialStatus: call.dialStatus, talkSeconds: call.dialDurationSeconds };
+
+  if (!session?.handoff || session.ending) {
+    await recordLateHandoff(callSid, { ...leg, ...(connected && { result: "connected" }) });
+    return sendTwiML(res, newResponse().hangup());
+  }
+
+  Object.assign(session.handoff, leg);
+  log.info("handoff", `Desk leg ended — ${call.dialStatus || "unknown"}`, { callSid, talkSeconds: leg.talkSeconds });
+
+  if (!connected) return offerVoicemail(res, session, { intent: `handoff_${call.dialStatus || "failed"}` });
+
+  const twiml = newResponse();
+  const bye   = V.handoffEnded(session.customerName);
+  session.handoff.result = "connected";
+  appendTurn(session, { customerSaid: "", confidence: null, intent: "handoff_connected", systemReply: bye });
+  session.ending = true;
+  await commitSession(session);
+  await endSession(callSid, "handoff_connected", "handed_off");
+  buildVoiceResponse({ twiml, message: bye, actionUrl: processUrl(), hangup: true });
+  return sendTwiML(res, twiml);
+}
+
+async function handleHandoffVoicemail(req, res) {
+  return serialiseTurn(req, res, "handoff", afterHandoffVoicemail);
+}
+
+async function afterHandoffVoicemail(req, res, call, session) {
+  const callSid  = call.callSid;
+  const recorded = {
+    voicemailUrl:     call.recordingUrl,
+    voicemailSeconds: call.recordingDurationSeconds,
+    result:           call.recordingUrl ? "voicemail" : "no_message",
+  };
+
+  if (!session?.handoff || session.ending) {
+    await recordLateHandoff(callSid, recorded);
+    return sendTwiML(res, newResponse().hangup());
+  }
+
+  Object.assign(session.handoff, recorded);
+  log.info("handoff", `Voicemail ${recorded.result === "voicemail" ? `recorded — ${recorded.voicemailSeconds ?? "?"}s` : "empty"}`, { callSid });
+
+  const twiml = newResponse();
+  const name  = session.customerName;
+  const msg   = recorded.result === "voicemail" ? V.handoffVoicemailSaved(name) : V.handoffNoMessage(name);
+  appendTurn(session, { customerSaid: "", confidence: null, intent: `handoff_${recorded.result}`, systemReply: msg });
+  session.ending = true;
+  await commitSession(session);
+  await endSession(callSid, `handoff_${recorded.result}`, "handed_off");
+  buildVoiceResponse({ twiml, message: msg, actionUrl: processUrl(), hangup: true });
+  return sendTwiML(res, twiml);
+}
+
+/* =====================================================================
+   LIVE SESSION SNAPSHOT — read-only view for GET /outbound/call/:sid
+   ===================================================================== */
+async function getSessionSnapshot(callSid) {
+  const session = await sessionStore.get(callSid);
+  if (!session) return null;
+  return {
+    callSid,
+    state:         session.state,
+    ending:        session.ending,
+    totalTurns:    session.totalTurns,
+    customerName:  session.customerName,
+    machineNumber: session.machineNumber,
+    preferredDate: session.preferredDate,
+    resolvedDate:  session.resolvedDate,
+    branch: session.assignedBranchCode ? {
+      code: session.assignedBranchCode,
+      name: session.assignedBranchName,
+      city: session.assignedBranchCity,
+    } : null,
+    handoff:       session.handoff || null,
+    keypadMode:    Boolean(session.keypadMode),
+    attemptNumber: session.attemptNumber,
+    callStartedAt: session.callStartedAt,
+    answeredAt:    session.answeredAt,
+    lastTurn:      session.turns.at(-1) || null,
+  };
+}
+
 /* =====================================================================
    HELPER: Safe display date resolver
    ===================================================================== */
@@ -1241,5 +2073,9 @@ export default {
   handleInitialCall,
   handleUserInput,
   handleStatusCallback,
+  handlePartialResult,
+  handleHandoffDial,
+  handleHandoffVoicemail,
   validateTwilioSignature,
+  getSessionSnapshot,
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * webhookController.js
+ * ================================
+ * Admin handlers for outcome webhooks — configured endpoints and the
+ * dead-letter queue (see utils/outcomeWebhooks.js).
+ */
+
+import webhooks from "../config/webhooks.js";
+import WebhookDeadLetter from "../models/WebhookDeadLetter.js";
+import { replayDeadLetter } from "../utils/outcomeWebhooks.js";
+
+const MAX_BULK_REPLAY = 500;
+
+function deadLetterFilter(query) {
+  const filter = {};
+  if (query.event)    filter.event    = String(query.event);
+  if (query.endpoint) filter.endpoint = String(query.endpoint);
+  if (query.includeReplayed !== "true") filter.replayedAt = null;
+  return filter;
+}
+
+/* =====================================================================
+   HANDLERS
+   ===================================================================== */
+function listEndpoints(req, res) {
+  // Secrets never leave the server
+  return res.json(webhooks.endpoints.map(({ name, url, events }) => ({ name, url, events })));
+}
+
+async function listDeadLetters(req, res) {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  try {
+    const letters = await WebhookDeadLetter.find(deadLetterFilter(req.query))
+      .sort({ failedAt: -1 })
+      .limit(limit)
+      .select("-body")
+      .lean();
+    return res.json(letters);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function replayOne(req, res) {
+  try {
+    const deliveryId = await replayDeadLetter(req.params.id);
+    if (!deliveryId) {
+      return res.status(404).json({ error: 'Dead letter not found or already replayed' });
+    }
+    return res.status(202).json({ success: true, deliveryId });
+  } catch (err) {
+    console.error('Webhook replay error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function replayMany(req, res) {
+  try {
+    const letters = await WebhookDeadLetter.find({ ...deadLetterFilter(req.query), replayedAt: null })
+      .sort({ failedAt: 1 })
+      .limit(MAX_BULK_REPLAY)
+      .select("_id")
+      .lean();
+
+    const deliveryIds = [];
+    for (const { _id } of letters) {
+      const deliveryId = await replayDeadLetter(String(_id));
+      if (deliveryId) deliveryIds.push(deliveryId);
+    }
+    return res.status(202).json({ success: true, replayed: deliveryIds.length, deliveryIds });
+  } catch (err) {
+    console.error('Webhook bulk replay error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+export default {
+  listEndpoints,
+  listDeadLetters,
+  replayOne,
+  replayMany,
+};
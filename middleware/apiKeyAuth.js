@@ -0,0 +1,101 @@
+/**
+ * apiKeyAuth.js
+ * ================================
+ * API-key authentication for the REST endpoints. Telephony webhooks
+ * (/voice) are not covered — they are checked by provider signature.
+ *
+ * The client sends `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * Keys are looked up by SHA-256 hash (models/ApiKey.js). The `admin`
+ * scope satisfies every check.
+ *
+ * Usage (server.js):
+ *   app.use('/outbound', requireApiKey({ read: 'bookings:read', write: 'calls:create' }));
+ *   app.use('/api-keys', requireApiKey('admin'));
+ *
+ * `read` applies to GET / HEAD, `write` to every other method.
+ *
+ * Env:
+ *   ADMIN_API_KEY      bootstrap key with the admin scope, used to issue
+ *                      the first stored keys
+ *   API_AUTH_DISABLED  "true" turns checks off — local development only
+ */
+
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+
+const LAST_USED_WRITE_MS = 60 * 1000;   // lastUsedAt is touched at most once a minute
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function generateApiKey() {
+  return `sck_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function readKey(req) {
+  const auth = req.get('Authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.get('X-API-Key') || null;
+}
+
+function isBootstrapKey(key) {
+  const bootstrap = process.env.ADMIN_API_KEY;
+  if (!bootstrap) return false;
+  const a = Buffer.from(hashApiKey(key));
+  const b = Buffer.from(hashApiKey(bootstrap));
+  return crypto.timingSafeEqual(a, b);
+}
+
+async function resolveKey(key) {
+  if (isBootstrapKey(key)) return { name: 'bootstrap', scopes: ['admin'] };
+
+  const doc = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+  if (!doc) return null;
+
+  if (!doc.lastUsedAt || Date.now() - doc.lastUsedAt.getTime() > LAST_USED_WRITE_MS) {
+    ApiKey.updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(err => console.error('API key lastUsedAt update error:', err.message));
+  }
+  return { id: String(doc._id), name: doc.name, scopes: doc.scopes };
+}
+
+/**
+ * @param {string | { read: string, write: string }} scope
+ */
+export function requireApiKey(scope) {
+  const scopeFor = (method) => {
+    if (typeof scope === 'string') return scope;
+    return ['GET', 'HEAD'].includes(method) ? scope.read : scope.write;
+  };
+
+  return async (req, res, next) => {
+    if (process.env.API_AUTH_DISABLED === 'true') {
+      console.warn(`⚠️  API_AUTH_DISABLED — ${req.method} ${req.originalUrl} served without an API key`);
+      return next();
+    }
+
+    const key = readKey(req);
+    if (!key) {
+      return res.status(401).json({ error: 'API key required (Authorization: Bearer <key>)' });
+    }
+
+    try {
+      const apiKey = await resolveKey(key);
+      if (!apiKey) return res.status(401).json({ error: 'Invalid or revoked API key' });
+
+      const needed = scopeFor(req.method);
+      if (!apiKey.scopes.includes('admin') && !apiKey.scopes.includes(needed)) {
+        return res.status(403).json({ error: `API key lacks the "${needed}" scope` });
+      }
+
+      req.apiKey = apiKey;
+      return next();
+    } catch (err) {
+      console.error('API key check error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+export default { requireApiKey, hashApiKey, generateApiKey };
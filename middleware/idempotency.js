@@ -0,0 +1,68 @@
+/**
+ * idempotency.js
+ * ================================
+ * Express middleware that makes a POST endpoint safe to retry.
+ *
+ * The client sends `Idempotency-Key: <unique id>` (or `idempotencyKey` in
+ * the JSON body). The first request runs normally and its JSON response is
+ * stored; a repeat with the same key gets that stored response back with
+ * `Idempotent-Replayed: true`. A repeat that arrives while the first one
+ * is still running gets 409. 5xx responses are not stored, so the client
+ * can retry them; nor is a request that ends without a JSON response (the
+ * handler threw, or the client went away) — its key is released.
+ *
+ * Keys are stored per API key (`req.apiKey`, set by apiKeyAuth.js), so two
+ * clients picking the same Idempotency-Key never see each other's response.
+ *
+ * Usage:
+ *   router.post('/call', idempotent('outbound.call'), handler);
+ */
+
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+export function idempotent(scope) {
+  return async (req, res, next) => {
+    const clientKey = req.get('Idempotency-Key') || req.body?.idempotencyKey;
+    if (!clientKey) return next();
+
+    // API_AUTH_DISABLED leaves no req.apiKey — those requests share one space
+    const owner = req.apiKey?.id || 'anonymous';
+    const key = `${scope}:${owner}:${clientKey}`;
+
+    try {
+      await IdempotencyKey.create({ key, expiresAt: new Date(Date.now() + TTL_MS) });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      const existing = await IdempotencyKey.findOne({ key }).lean();
+      if (!existing || existing.statusCode === null) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    let stored = false;
+    res.on('close', () => {
+      if (stored) return;
+      IdempotencyKey.deleteOne({ key }).catch(err => console.error('Idempotency release error:', err.message));
+    });
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      const statusCode = res.statusCode;
+      const write = statusCode >= 500
+        ? IdempotencyKey.deleteOne({ key })
+        : IdempotencyKey.updateOne({ key }, { $set: { statusCode, body } });
+      write.catch(err => console.error('Idempotency store error:', err.message));
+      return sendJson(body);
+    };
+
+    return next();
+  };
+}
+
+export default { idempotent };
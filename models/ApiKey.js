@@ -0,0 +1,60 @@
+/**
+ * ApiKey.model.js
+ * ================================
+ * REST API keys. Only a SHA-256 hash of the key is stored — the plain key
+ * is shown once, when it is issued (POST /api-keys).
+ *
+ * Scopes:
+ *   • calls:create   place / schedule / cancel calls, run campaigns
+ *   • bookings:read  read calls, bookings, campaigns, jobs
+ *   • admin          everything, including key management
+ *
+ * Keys are revoked, not deleted, so `lastUsedAt` history is kept.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const API_SCOPES = ['calls:create', 'bookings:read', 'admin'];
+
+const ApiKeySchema = new Schema(
+  {
+    name:    { type: String, required: true, trim: true },
+    prefix:  { type: String, required: true },   // first characters, for display
+    keyHash: { type: String, required: true, unique: true, index: true },
+    scopes:  {
+      type:     [{ type: String, enum: API_SCOPES }],
+      validate: { validator: v => v.length > 0, message: 'At least one scope is required' },
+    },
+
+    revokedAt:  { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    createdBy:  { type: String, default: null },   // name of the issuing key
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Instance methods ────────────────────────────────────────────── */
+ApiKeySchema.methods.toSummary = function () {
+  return {
+    id:         String(this._id),
+    name:       this.name,
+    prefix:     this.prefix,
+    scopes:     this.scopes,
+    revokedAt:  this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    createdBy:  this.createdBy,
+    createdAt:  this.createdAt,
+  };
+};
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const ApiKey =
+  mongoose.models.ApiKey ||
+  model('ApiKey', ApiKeySchema);
+
+export default ApiKey;
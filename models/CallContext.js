@@ -0,0 +1,54 @@
+/**
+ * CallContext.model.js
+ * ================================
+ * Customer + machine data for an outbound call, written when the call is
+ * placed and read by POST /voice when Twilio connects it.
+ *
+ * Documents expire on their own through the TTL index on `expiresAt`,
+ * so no cleanup job is needed.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const CallContextSchema = new Schema(
+  {
+    callSid: {
+      type: String, required: true, unique: true, index: true, trim: true,
+    },
+
+    customerName:  { type: String, default: null, trim: true },
+    customerPhone: { type: String, default: null, trim: true },
+    machineModel:  { type: String, default: null, trim: true },
+    machineNumber: { type: String, default: null, trim: true },
+    serviceType:   { type: String, default: null, trim: true },
+    dueDate:       { type: String, default: null },
+
+    /* ── Redial chain (see config/redialPolicy.js) ───────────────── */
+    attemptNumber:   { type: Number, default: 1 },
+    originalCallSid: { type: String, default: null, trim: true },
+
+    /* ── Twilio status callback timestamps ───────────────────────── */
+    ringingAt:  { type: Date, default: null },
+    answeredAt: { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+CallContextSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+CallContextSchema.index({ customerPhone: 1, createdAt: -1 });
+CallContextSchema.index({ machineNumber: 1, createdAt: -1 });
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const CallContext =
+  mongoose.models.CallContext ||
+  model('CallContext', CallContextSchema);
+
+export default CallContext;
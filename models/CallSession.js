@@ -0,0 +1,52 @@
+/**
+ * CallSession.model.js
+ * ================================
+ * Live conversation state for an answered call, keyed by CallSid — the
+ * Mongo backend of utils/sessionStore.js.
+ *
+ * `data` holds the whole session object; `rev` goes up on every write so
+ * a read-modify-write only lands if nobody wrote in between.
+ * callStartedAt / endedAt are copied out of `data` for the TTL sweep.
+ * lockToken / lockedUntil are the per-call lease taken by
+ * sessionStore.withLock() so only one instance handles a webhook at a time.
+ * Documents expire through the TTL index on `expiresAt`.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const CallSessionSchema = new Schema(
+  {
+    callSid: {
+      type: String, required: true, unique: true, index: true, trim: true,
+    },
+
+    data: { type: Schema.Types.Mixed, required: true },
+    rev:  { type: Number, default: 0 },
+
+    callStartedAt: { type: Date, required: true },
+    endedAt:       { type: Date, default: null },
+
+    lockToken:   { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    minimize:   false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+CallSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+CallSessionSchema.index({ endedAt: 1, callStartedAt: 1 });
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const CallSession =
+  mongoose.models.CallSession ||
+  model('CallSession', CallSessionSchema);
+
+export default CallSession;
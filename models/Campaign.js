@@ -0,0 +1,103 @@
+/**
+ * Campaign.model.js
+ * ================================
+ * Bulk outbound call campaign — one uploaded list of due-service customers
+ * worked through by utils/campaignRunner.js.
+ *
+ * Row lifecycle:
+ *   queued → dialing → completed   (call ended, outcome recorded)
+ *                    ↘ failed      (dial error / no outcome before timeout)
+ *   queued → skipped               (contact cap reached — see skipReason)
+ *
+ * Campaign lifecycle:
+ *   running ⇄ paused → cancelled
+ *   running → completed            (no queued or dialing rows left)
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const ROW_STATUS      = ['queued', 'dialing', 'completed', 'failed', 'skipped'];
+export const CAMPAIGN_STATUS = ['running', 'paused', 'cancelled', 'completed'];
+
+/* ── Row sub-schema ──────────────────────────────────────────────── */
+const CampaignRowSchema = new Schema(
+  {
+    rowNumber:     { type: Number, required: true },
+    customerName:  { type: String, required: true, trim: true },
+    phone:         { type: String, required: true, trim: true },
+    machineModel:  { type: String, required: true, trim: true },
+    machineNumber: { type: String, required: true, trim: true },
+    serviceType:   { type: String, required: true, trim: true },
+    dueDate:       { type: String, required: true, trim: true },
+
+    status:  { type: String, enum: ROW_STATUS, default: 'queued' },
+    callSid: { type: String, default: null },
+    outcome: { type: String, default: null },
+    error:   { type: String, default: null },
+    skipReason: { type: String, default: null },   // utils/contactCaps.js reason
+
+    dialedAt:   { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/* ── Main schema ─────────────────────────────────────────────────── */
+const CampaignSchema = new Schema(
+  {
+    name: { type: String, default: null, trim: true },
+
+    status: {
+      type:    String,
+      enum:    CAMPAIGN_STATUS,
+      default: 'running',
+      index:   true,
+    },
+
+    /* ── Dialing limits ──────────────────────────────────────────── */
+    concurrency: { type: Number, default: 2, min: 1 },
+    paceSeconds: { type: Number, default: 30, min: 0 },
+    // Minimum gap between two dial attempts of the same campaign
+
+    rows: { type: [CampaignRowSchema], default: [] },
+
+    lastDialAt:  { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+CampaignSchema.index({ 'rows.callSid': 1 });
+
+/* ── Methods ─────────────────────────────────────────────────────── */
+CampaignSchema.methods.progress = function () {
+  const counts = Object.fromEntries(ROW_STATUS.map(s => [s, 0]));
+  for (const row of this.rows) counts[row.status] += 1;
+  return { total: this.rows.length, ...counts };
+};
+
+CampaignSchema.methods.toSummary = function () {
+  return {
+    id:          this._id,
+    name:        this.name,
+    status:      this.status,
+    concurrency: this.concurrency,
+    paceSeconds: this.paceSeconds,
+    progress:    this.progress(),
+    createdAt:   this.createdAt,
+    completedAt: this.completedAt,
+  };
+};
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const Campaign =
+  mongoose.models.Campaign ||
+  model('Campaign', CampaignSchema);
+
+export default Campaign;
@@ -0,0 +1,94 @@
+/**
+ * DialJob.model.js
+ * ================================
+ * A persistent "place this call later" job, worked by utils/dialScheduler.js.
+ *
+ * kind:
+ *   • scheduled — POST /outbound/call with `scheduledAt`
+ *   • deferred  — requested outside calling hours, moved to the next slot
+ *   • redial    — busy / no-answer / failed retry (config/redialPolicy.js)
+ *   • reminder  — service due soon (utils/serviceIntervalEngine.js)
+ *
+ * Lifecycle:
+ *   scheduled → running → done       (call placed, `callSid` set)
+ *                       ↘ failed     (dial error, or worker died mid-dial)
+ *                       ↘ skipped    (contact cap or duplicate — see skipReason)
+ *   scheduled → cancelled            (DELETE /outbound/call/:jobId)
+ *
+ * A worker claims a job by flipping scheduled → running in a single
+ * findOneAndUpdate, so two instances can never fire the same job.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const JOB_KIND   = ['scheduled', 'deferred', 'redial', 'reminder'];
+export const JOB_STATUS = ['scheduled', 'running', 'done', 'failed', 'skipped', 'cancelled'];
+
+/* ── Call data sub-schema (placeOutboundCall arguments) ──────────── */
+const CallDataSchema = new Schema(
+  {
+    to:              { type: String, required: true, trim: true },
+    customerName:    { type: String, default: null, trim: true },
+    machineModel:    { type: String, default: null, trim: true },
+    machineNumber:   { type: String, default: null, trim: true },
+    serviceType:     { type: String, default: null, trim: true },
+    dueDate:         { type: String, default: null },
+    attemptNumber:   { type: Number, default: 1 },
+    originalCallSid: { type: String, default: null, trim: true },
+  },
+  { _id: false }
+);
+
+/* ── Main schema ─────────────────────────────────────────────────── */
+const DialJobSchema = new Schema(
+  {
+    kind:     { type: String, required: true, enum: JOB_KIND },
+    status:   { type: String, required: true, enum: JOB_STATUS, default: 'scheduled' },
+    runAt:    { type: Date, required: true },
+    callData: { type: CallDataSchema, required: true },
+    allowDuplicate: { type: Boolean, default: false },   // skip utils/duplicateGuard.js
+
+    /* ── Worker bookkeeping ──────────────────────────────────────── */
+    lockedBy: { type: String, default: null },
+    lockedAt: { type: Date, default: null },
+
+    /* ── Result ──────────────────────────────────────────────────── */
+    callSid:    { type: String, default: null, trim: true },
+    error:      { type: String, default: null },
+    skipReason: { type: String, default: null },   // contactCaps / duplicateGuard reason
+    finishedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+DialJobSchema.index({ status: 1, runAt: 1 });
+DialJobSchema.index({ 'callData.to': 1, runAt: 1 });
+
+/* ── Instance methods ────────────────────────────────────────────── */
+DialJobSchema.methods.toSummary = function () {
+  return {
+    id:           String(this._id),
+    kind:         this.kind,
+    status:       this.status,
+    scheduledFor: this.runAt,
+    callData:     this.callData,
+    callSid:      this.callSid,
+    error:        this.error,
+    skipReason:   this.skipReason,
+    createdAt:    this.createdAt,
+    finishedAt:   this.finishedAt,
+  };
+};
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const DialJob =
+  mongoose.models.DialJob ||
+  model('DialJob', DialJobSchema);
+
+export default DialJob;
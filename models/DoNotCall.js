@@ -0,0 +1,47 @@
+/**
+ * DoNotCall.model.js
+ * ================================
+ * Numbers that must never be dialed again — the do-not-call (DNC) registry.
+ *
+ * `source` records how the number got here:
+ *   • in-call — customer asked to stop calls during a reminder call
+ *   • manual  — added by staff through POST /dnc
+ *   • import  — bulk upload through POST /dnc/import
+ *
+ * `phone` is always E.164 (see utils/phone.js), so lookups are exact.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const DNC_SOURCES = ['in-call', 'manual', 'import'];
+
+const DoNotCallSchema = new Schema(
+  {
+    phone: {
+      type: String, required: true, unique: true, index: true, trim: true,
+    },
+
+    source: { type: String, required: true, enum: DNC_SOURCES },
+    reason: { type: String, default: null, trim: true },
+
+    /* ── in-call: the call where the customer opted out ──────────── */
+    callSid:      { type: String, default: null, trim: true },
+    customerSaid: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+DoNotCallSchema.index({ source: 1, createdAt: -1 });
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const DoNotCall =
+  mongoose.models.DoNotCall ||
+  model('DoNotCall', DoNotCallSchema);
+
+export default DoNotCall;
@@ -0,0 +1,41 @@
+/**
+ * IdempotencyKey.model.js
+ * ================================
+ * Remembers the response to a request sent with an `Idempotency-Key`
+ * header, so a client retry gets the same answer instead of a second call.
+ *
+ * statusCode / body stay null while the first request is still running.
+ * Documents expire through the TTL index on `expiresAt`.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const IdempotencyKeySchema = new Schema(
+  {
+    key: {
+      type: String, required: true, unique: true, index: true, trim: true,
+      // "<scope>:<client key>" e.g. "outbound.call:5f2c…"
+    },
+
+    statusCode: { type: Number, default: null },
+    body:       { type: Schema.Types.Mixed, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const IdempotencyKey =
+  mongoose.models.IdempotencyKey ||
+  model('IdempotencyKey', IdempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,54 @@
+/**
+ * Machine.model.js
+ * ================================
+ * A customer's JCB machine — the registry the service-interval engine
+ * (utils/serviceIntervalEngine.js) reads to predict the next service.
+ *
+ * Engine hours are estimated, not read live:
+ *   estimated HMR = lastServiceHMR + averageDailyHours × days since
+ *                   lastServiceDate (or commissioningDate)
+ *
+ * reminderDueHMR is the milestone a reminder call has already been queued
+ * for, so the daily job never queues the same reminder twice.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const MachineSchema = new Schema(
+  {
+    machineNumber: {
+      type: String, required: true, unique: true, index: true, trim: true, uppercase: true,
+    },
+    model: { type: String, required: true, trim: true },
+
+    /* ── Owner ───────────────────────────────────────────────────── */
+    ownerName: { type: String, required: true, trim: true },
+    phone:     { type: String, required: true, trim: true, index: true },   // E.164
+
+    /* ── Usage ───────────────────────────────────────────────────── */
+    commissioningDate: { type: Date, required: true },
+    lastServiceHMR:    { type: Number, default: 0, min: 0 },
+    lastServiceDate:   { type: Date, default: null },
+    averageDailyHours: { type: Number, default: 8, min: 0.1, max: 24 },
+
+    active: { type: Boolean, default: true, index: true },
+
+    /* ── Reminder bookkeeping (written by the daily job) ─────────── */
+    reminderDueHMR: { type: Number, default: null },
+    reminderJobId:  { type: String, default: null },
+    remindedAt:     { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const Machine =
+  mongoose.models.Machine ||
+  model('Machine', MachineSchema);
+
+export default Machine;
@@ -11,9 +11,28 @@
  *   • confirmedServiceDate  — resolved display date for confirmed bookings
  *   • alreadyDoneDetails    — raw speech captured when customer says service already done
  *   • Removed rescheduled / callback fields (flow no longer uses them)
+ *
+ * Voicemail:
+ *   • outcome 'voicemail' — answering machine picked up; reminder left
+ *
+ * Do-not-call:
+ *   • outcome 'opted_out' — customer asked not to be called again; the
+ *     number is now in the DoNotCall registry
+ *
+ * Human handoff:
+ *   • outcome 'handed_off' — call transferred to a branch / central desk
+ *     (or the desk's voicemail); `handoff` records where, why, in which
+ *     conversation state and how it ended
+ *
+ * Redial attempts:
+ *   • attemptNumber / originalCallSid — every dial of one reminder shares the
+ *     first call's CallSid, so ServiceBooking.attemptHistory() can list them
+ *   • callStatus    — Twilio terminal status of unanswered attempts
+ *   • nextAttemptAt — when the redial policy scheduled the next try
  */
 
 import mongoose from 'mongoose';
+import { IST_OFFSET_MS } from '../utils/dateResolver.js';
 
 const { Schema, model } = mongoose;
 
@@ -26,6 +45,32 @@ const CallTurnSchema = new Schema(
     confidence:   { type: Number, default: null },
     intent:       { type: String, default: null },
     systemReply:  { type: String, required: true },
+    bargeIn:      { type: Boolean, default: false },  // caller spoke over the prompt
+    actedEarly:   { type: Boolean, default: false },  // answered from a partial result
+    digits:       { type: String, default: null },    // keys pressed — customerSaid is what they stand for
+  },
+  { _id: false }
+);
+
+/* ── Handoff sub-schema ──────────────────────────────────────────── */
+const HandoffSchema = new Schema(
+  {
+    reason:      { type: String, required: true },   // customer_asked, agent_offer_accepted, unknown_max, branch_retries
+    state:       { type: String, required: true },   // conversation state it happened in
+    desk:        { type: String, enum: ['branch', 'central', null], default: null },  // null → straight to voicemail
+    deskNumber:  { type: String, default: null },
+    branchCode:  { type: String, default: null },
+    requestedAt: { type: Date,   required: true },
+    dialStatus:  { type: String, default: null },    // <Dial> result e.g. "completed", "no-answer", "busy"
+    talkSeconds: { type: Number, default: null },
+    voicemailAt:      { type: Date,   default: null },   // voicemail offered — the desk was skipped or missed
+    voicemailUrl:     { type: String, default: null },
+    voicemailSeconds: { type: Number, default: null },
+    result: {
+      type:    String,
+      enum:    ['connected', 'voicemail', 'no_message', 'caller_hung_up', null],
+      default: null,
+    },
   },
   { _id: false }
 );
@@ -52,7 +97,7 @@ const ServiceBookingSchema = new Schema(
     outcome: {
       type:     String,
       required: true,
-      enum:     ['confirmed', 'rejected', 'already_done', 'no_response'],
+      enum:     ['confirmed', 'rejected', 'already_done', 'no_response', 'voicemail', 'opted_out', 'handed_off'],
       index:    true,
     },
 
@@ -102,6 +147,19 @@ const ServiceBookingSchema = new Schema(
       // Raw speech: "kab, kahan, kaunsi service karwai"
     },
 
+    /* ── handed_off ──────────────────────────────────────────────── */
+    handoff: { type: HandoffSchema, default: null },
+
+    /* ── Redial chain ────────────────────────────────────────────── */
+    attemptNumber:   { type: Number, default: 1 },
+    originalCallSid: { type: String, default: null, index: true, trim: true },
+    callStatus: {
+      type:    String,
+      default: null,
+      // Twilio terminal status e.g. "busy", "no-answer", "failed"
+    },
+    nextAttemptAt: { type: Date, default: null },
+
     /* ── Call stats ──────────────────────────────────────────────── */
     totalTurns:          { type: Number, default: 0    },
     callDurationSeconds: { type: Number, default: null },
@@ -112,6 +170,14 @@ const ServiceBookingSchema = new Schema(
     /* ── Timestamps ──────────────────────────────────────────────── */
     callStartedAt: { type: Date, default: null },
     callEndedAt:   { type: Date, default: null },
+
+    /* ── Twilio call progress (status callbacks) ─────────────────── */
+    ringingAt:   { type: Date, default: null },
+    answeredAt:  { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+
+    /* ── Outcome webhooks (utils/outcomeWebhooks.js) ─────────────── */
+    webhooksQueuedAt: { type: Date, default: null },   // null until the outcome is queued
   },
   {
     timestamps: true,   // adds createdAt + updatedAt automatically
@@ -124,6 +190,7 @@ ServiceBookingSchema.index({ outcome: 1, createdAt: -1 });
 ServiceBookingSchema.index({ customerPhone: 1, createdAt: -1 });
 ServiceBookingSchema.index({ assignedBranchCode: 1, createdAt: -1 });
 ServiceBookingSchema.index({ confirmedServiceDateISO: 1 });
+ServiceBookingSchema.index({ webhooksQueuedAt: 1, createdAt: 1 });
 
 /* ── Virtuals ────────────────────────────────────────────────────── */
 ServiceBookingSchema.virtual('durationMinutes').get(function () {
@@ -131,6 +198,39 @@ ServiceBookingSchema.virtual('durationMinutes').get(function () {
   return (this.callDurationSeconds / 60).toFixed(1);
 });
 
+/* ── Statics ─────────────────────────────────────────────────────── */
+function formatTimeIST(date) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return `${String(ist.getUTCHours()).padStart(2, '0')}:${String(ist.getUTCMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * All attempts of the reminder that `callSid` belongs to, oldest first,
+ * plus a one-line summary e.g. "3 attempts, last no-answer at 16:05".
+ */
+ServiceBookingSchema.statics.attemptHistory = async function (callSid) {
+  const booking = await this.findOne({ callSid }, { originalCallSid: 1 }).lean();
+  if (!booking) return null;
+
+  const originalCallSid = booking.originalCallSid || callSid;
+  const attempts = await this
+    .find({ $or: [{ originalCallSid }, { callSid: originalCallSid }] })
+    .select('callSid attemptNumber outcome callStatus nextAttemptAt callStartedAt callEndedAt createdAt')
+    .sort({ attemptNumber: 1, createdAt: 1 })
+    .lean();
+
+  const last   = attempts[attempts.length - 1];
+  const result = last.callStatus || last.outcome;
+  const at     = formatTimeIST(last.callEndedAt || last.createdAt);
+  const count  = `${attempts.length} attempt${attempts.length === 1 ? '' : 's'}`;
+
+  return {
+    originalCallSid,
+    summary: `${count}, last ${result} at ${at}`,
+    attempts,
+  };
+};
+
 /* ── Export ──────────────────────────────────────────────────────── */
 const ServiceBooking =
   mongoose.models.ServiceBooking ||
@@ -0,0 +1,40 @@
+/**
+ * WebhookDeadLetter.model.js
+ * ================================
+ * Outcome webhooks that failed every attempt. Kept until someone replays
+ * them (POST /webhooks/dead-letters/:id/replay), which queues a fresh
+ * WebhookDelivery with the same body and stamps `replayedAt` here.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const WebhookDeadLetterSchema = new Schema(
+  {
+    deliveryId: { type: String, required: true },
+    event:      { type: String, required: true, index: true },
+    endpoint:   { type: String, required: true, index: true },
+    callSid:    { type: String, default: null },
+    body:       { type: String, required: true },
+
+    attempts:       { type: Number, required: true },
+    lastStatusCode: { type: Number, default: null },
+    lastError:      { type: String, default: null },
+    failedAt:       { type: Date, required: true },
+
+    replayedAt:       { type: Date, default: null, index: true },
+    replayDeliveryId: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const WebhookDeadLetter =
+  mongoose.models.WebhookDeadLetter ||
+  model('WebhookDeadLetter', WebhookDeadLetterSchema);
+
+export default WebhookDeadLetter;
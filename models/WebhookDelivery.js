@@ -0,0 +1,57 @@
+/**
+ * WebhookDelivery.model.js
+ * ================================
+ * One outcome event queued for one endpoint, worked by
+ * utils/outcomeWebhooks.js.
+ *
+ * Lifecycle:
+ *   pending → sending → delivered        (2xx; expires after 7 days)
+ *                     ↘ pending          (error; retried with backoff)
+ *   after WEBHOOK_MAX_ATTEMPTS failures the delivery moves to the
+ *   WebhookDeadLetter collection and is removed from here.
+ *
+ * `body` is the exact JSON sent, so every retry carries the same bytes.
+ * The endpoint secret is not stored — it is read from config at send time.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const DELIVERY_STATUS = ['pending', 'sending', 'delivered'];
+
+const WebhookDeliverySchema = new Schema(
+  {
+    event:    { type: String, required: true, index: true },
+    endpoint: { type: String, required: true },   // config endpoint name
+    callSid:  { type: String, default: null, index: true },
+    body:     { type: String, required: true },
+
+    status:        { type: String, required: true, enum: DELIVERY_STATUS, default: 'pending' },
+    attempts:      { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt:      { type: Date, default: null },
+
+    lastStatusCode: { type: Number, default: null },
+    lastError:      { type: String, default: null },
+    deliveredAt:    { type: Date, default: null },
+    expiresAt:      { type: Date, default: null },
+
+    replayOf: { type: String, default: null },   // WebhookDeadLetter id
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/* ── Indexes ─────────────────────────────────────────────────────── */
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* ── Export ──────────────────────────────────────────────────────── */
+const WebhookDelivery =
+  mongoose.models.WebhookDelivery ||
+  model('WebhookDelivery', WebhookDeliverySchema);
+
+export default WebhookDelivery;
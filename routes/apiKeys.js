@@ -0,0 +1,22 @@
+/**
+ * apiKeys.routes.js
+ * ================================
+ * REST API key management (admin scope — see middleware/apiKeyAuth.js).
+ *
+ *   POST   /api-keys       → issue a key; the plain key is shown once
+ *   GET    /api-keys       → all keys (no secrets)
+ *   DELETE /api-keys/:id   → revoke a key
+ *
+ * All logic lives in apiKeyController.js.
+ */
+
+import express from "express";
+import ApiKeyController from "../controllers/apiKeyController.js";
+
+const router = express.Router();
+
+router.post("/", (req, res) => ApiKeyController.issueKey(req, res));
+router.get("/", (req, res) => ApiKeyController.listKeys(req, res));
+router.delete("/:id", (req, res) => ApiKeyController.revokeKey(req, res));
+
+export default router;
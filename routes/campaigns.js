@@ -0,0 +1,32 @@
+/**
+ * campaigns.routes.js
+ * ================================
+ * Bulk outbound call campaigns for due-service customer lists.
+ *
+ *   POST /campaigns             → upload CSV / JSON list, starts dialing
+ *   GET  /campaigns             → latest campaigns with progress counts
+ *   GET  /campaigns/:id         → one campaign incl. per-row status
+ *   POST /campaigns/:id/pause   → stop dialing new rows
+ *   POST /campaigns/:id/resume  → continue a paused campaign
+ *   POST /campaigns/:id/cancel  → stop for good (live calls finish normally)
+ *
+ * All logic lives in campaignController.js.
+ */
+
+import express from "express";
+import CampaignController from "../controllers/campaignController.js";
+
+const router = express.Router();
+
+// Uploads of up to MAX_ROWS customers — mounted ahead of server.js's
+// default JSON parser, so both formats are parsed here
+const uploadBody = [express.text({ type: "text/csv", limit: "2mb" }), express.json({ limit: "2mb" })];
+
+router.post("/", uploadBody, (req, res) => CampaignController.createCampaign(req, res));
+router.get("/", (req, res) => CampaignController.listCampaigns(req, res));
+router.get("/:id", (req, res) => CampaignController.getCampaign(req, res));
+router.post("/:id/pause", (req, res) => CampaignController.pauseCampaign(req, res));
+router.post("/:id/resume", (req, res) => CampaignController.resumeCampaign(req, res));
+router.post("/:id/cancel", (req, res) => CampaignController.cancelCampaign(req, res));
+
+export default router;
@@ -0,0 +1,29 @@
+/**
+ * dnc.routes.js
+ * ================================
+ * Do-not-call registry admin API.
+ *
+ *   GET    /dnc           → listed numbers, newest first (?source=&skip=&limit=)
+ *   POST   /dnc           → add one number (source "manual")
+ *   POST   /dnc/import    → bulk add from CSV / JSON (source "import")
+ *   DELETE /dnc/:phone    → remove a number so it can be dialed again
+ *
+ * In-call opt-outs are added by voiceController.js (source "in-call").
+ * All logic lives in dncController.js.
+ */
+
+import express from "express";
+import DncController from "../controllers/dncController.js";
+
+const router = express.Router();
+
+// Mounted ahead of server.js's default JSON parser, so bodies are parsed
+// here — imports of up to MAX_IMPORT numbers get a larger limit
+const importBody = [express.text({ type: "text/csv", limit: "2mb" }), express.json({ limit: "2mb" })];
+
+router.get("/", (req, res) => DncController.listNumbers(req, res));
+router.post("/", express.json(), (req, res) => DncController.addNumber(req, res));
+router.post("/import", importBody, (req, res) => DncController.importNumbers(req, res));
+router.delete("/:phone", (req, res) => DncController.removeNumber(req, res));
+
+export default router;
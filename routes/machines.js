@@ -0,0 +1,29 @@
+/**
+ * machines.routes.js
+ * ================================
+ * Machine registry and service-due predictions.
+ *
+ *   POST  /machines                         → register a machine
+ *   GET   /machines                         → active machines, soonest due first
+ *                                             (?dueWithinDays=7)
+ *   GET   /machines/:machineNumber          → one machine + next service
+ *   PATCH /machines/:machineNumber          → edit owner / usage fields
+ *   POST  /machines/:machineNumber/service  → record a service { hmr, date }
+ *   POST  /machines/reminders/run           → run the daily reminder job now
+ *
+ * All logic lives in machineController.js.
+ */
+
+import express from "express";
+import MachineController from "../controllers/machineController.js";
+
+const router = express.Router();
+
+router.post("/", (req, res) => MachineController.createMachine(req, res));
+router.get("/", (req, res) => MachineController.listMachines(req, res));
+router.post("/reminders/run", (req, res) => MachineController.runReminders(req, res));
+router.get("/:machineNumber", (req, res) => MachineController.getMachine(req, res));
+router.patch("/:machineNumber", (req, res) => MachineController.updateMachine(req, res));
+router.post("/:machineNumber/service", (req, res) => MachineController.recordService(req, res));
+
+export default router;
@@ -1,57 +1,166 @@
 import express from 'express';
-import twilio from 'twilio';
 import dotenv from 'dotenv';
+import { placeOutboundCall, cancelOutboundCall } from '../utils/outboundDialer.js';
+import { checkCallingWindow } from '../utils/callingWindow.js';
+import { scheduleDial, getScheduledDial, cancelScheduledDial, listUpcomingDials } from '../utils/dialScheduler.js';
+import { JOB_KIND } from '../models/DialJob.js';
+import callingHours from '../config/callingHours.js';
+import ServiceBooking from '../models/Servicebooking.js';
+import { normalizeIndianPhone } from '../utils/phone.js';
+import { findDuplicateCall } from '../utils/duplicateGuard.js';
+import { isDoNotCall } from '../utils/doNotCall.js';
+import { checkContactCaps } from '../utils/contactCaps.js';
+import { idempotent } from '../middleware/idempotency.js';
+import callContextStore from '../utils/callContextStore.js';
+import VoiceController from '../controllers/voiceController.js';
 dotenv.config();
 
 const router = express.Router();
 
-// Temporary in-memory store
-// (In production use Redis or DB)
-const callDataStore = new Map();
-
-const getTwilioClient = () => {
-  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
-    throw new Error('Twilio credentials are missing');
-  }
-
-  return twilio(
-    process.env.TWILIO_ACCOUNT_SID,
-    process.env.TWILIO_AUTH_TOKEN
-  );
-};
-
-router.post('/call', async (req, res) => {
+// Retry-safe with an `Idempotency-Key` header (see middleware/idempotency.js).
+// `scheduledAt` (ISO 8601, include the offset e.g. "+05:30") queues the call
+// as a persistent job instead of dialing now
+router.post('/call', idempotent('outbound.call'), async (req, res) => {
   const {
     to,
     customerName,
     machineModel,
     machineNumber,
     serviceType,
-    dueDate
+    dueDate,
+    scheduledAt,
+    outsideWindow = callingHours.outsideWindow,
+    allowDuplicate = false
   } = req.body;
 
   if (!to) {
     return res.status(400).json({ error: '`to` phone number is required' });
   }
+  const phone = normalizeIndianPhone(to);
+  if (phone.error) {
+    return res.status(400).json({ error: phone.error });
+  }
+  if (!['defer', 'reject'].includes(outsideWindow)) {
+    return res.status(400).json({ error: '`outsideWindow` must be "defer" or "reject"' });
+  }
 
+  const runAt = scheduledAt ? new Date(scheduledAt) : null;
+  if (runAt && isNaN(runAt.getTime())) {
+    return res.status(400).json({ error: '`scheduledAt` must be an ISO 8601 date-time' });
+  }
+  if (runAt && runAt.getTime() < Date.now() - 60 * 1000) {
+    return res.status(400).json({ error: '`scheduledAt` must be in the future' });
+  }
+
+  const callData = {
+    to: phone.e164,
+    customerName,
+    machineModel,
+    machineNumber,
+    serviceType,
+    dueDate
+  };
+
+  // Customer opted out or was added to the DNC list by staff
   try {
-    const client = getTwilioClient();
+    if (await isDoNotCall(phone.e164)) {
+      return res.status(403).json({
+        error: 'Number is on the do-not-call list',
+        reason: 'do_not_call'
+      });
+    }
+  } catch (err) {
+    console.error('DNC check error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
 
-    const call = await client.calls.create({
-      to,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      url: `${process.env.PUBLIC_URL}/voice`,
-      method: 'POST'
-    });
+  // Per-customer frequency caps (config/contactCaps.js); scheduled calls
+  // are checked when their job fires
+  if (!runAt) {
+    try {
+      const capped = await checkContactCaps(phone.e164);
+      if (capped) {
+        return res.status(409).json({
+          error: 'Contact cap reached',
+          reason: capped.reason,
+          message: capped.message,
+          retryAfter: capped.retryAfter
+        });
+      }
+    } catch (err) {
+      console.error('Contact cap check error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  }
 
-    // Store due data using CallSid
-    callDataStore.set(call.sid, {
-      customerName,
-      machineModel,
-      machineNumber,
-      serviceType,
-      dueDate
+  // Calling hours / holidays (IST), checked for the time the call will go out
+  const window = checkCallingWindow(runAt || new Date());
+  if (!window.allowed && (outsideWindow === 'reject' || !window.nextSlot)) {
+    return res.status(409).json({
+      error: 'Outside calling hours',
+      reason: window.reason,
+      nextSlot: window.nextSlot
     });
+  }
+
+  // Same phone or machine dialed, or queued to be dialed, within
+  // DUPLICATE_CALL_WINDOW_MINUTES of when this call will go out. Queued
+  // calls are checked again when their job fires
+  if (!allowDuplicate) {
+    try {
+      const duplicate = await findDuplicateCall({
+        customerPhone: phone.e164,
+        machineNumber,
+        at: window.allowed ? runAt || new Date() : window.nextSlot
+      });
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'Duplicate call',
+          reason: duplicate.reason,
+          existingCallSid: duplicate.callSid,
+          existingJobId: duplicate.jobId,
+          existingCallAt: duplicate.at
+        });
+      }
+    } catch (err) {
+      console.error('Duplicate check error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  if (!window.allowed) {
+    try {
+      const deferred = await scheduleDial(window.nextSlot, callData, runAt ? 'scheduled' : 'deferred', { allowDuplicate });
+      return res.status(202).json({
+        success: true,
+        deferred: true,
+        reason: window.reason,
+        scheduledFor: deferred.scheduledFor,
+        deferredId: deferred.id
+      });
+    } catch (err) {
+      console.error('Deferred dial error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  if (runAt) {
+    try {
+      const job = await scheduleDial(runAt, callData, 'scheduled', { allowDuplicate });
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        scheduledFor: job.scheduledFor,
+        jobId: job.id
+      });
+    } catch (err) {
+      console.error('Scheduled dial error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  try {
+    const call = await placeOutboundCall(callData);
 
     return res.json({
       success: true,
@@ -67,5 +176,92 @@ router.post('/call', async (req, res) => {
   }
 });
 
-export { callDataStore };
-export default router;
\ No newline at end of file
+// What happened to a call — `sid` is a CallSid or a dial job id.
+// Checked in order: live conversation → saved outcome → placed but not
+// yet answered → dial job (scheduled / deferred / redial)
+router.get('/call/:sid', async (req, res) => {
+  const { sid } = req.params;
+
+  try {
+    const live = await VoiceController.getSessionSnapshot(sid);
+    if (live) {
+      return res.json({ source: 'session', status: live.ending ? 'ending' : 'in-progress', ...live });
+    }
+
+    const booking = await ServiceBooking.findOne({ callSid: sid }).select('-turns').lean();
+    if (booking) {
+      return res.json({ source: 'booking', status: 'finished', ...booking });
+    }
+
+    const context = await callContextStore.get(sid);
+    if (context) {
+      return res.json({ source: 'context', status: 'placed', callSid: sid, ...context });
+    }
+
+    const job = await getScheduledDial(sid);
+    if (job) {
+      return res.json({ source: 'scheduler', ...job });
+    }
+  } catch (err) {
+    console.error('Call lookup error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+
+  return res.status(404).json({ error: 'No call found for this id' });
+});
+
+// Cancel a dial job that has not fired (by job id) or a placed call
+// (by CallSid): unanswered calls are cancelled, live calls are hung up
+router.delete('/call/:sid', async (req, res) => {
+  const { sid } = req.params;
+
+  try {
+    if (await cancelScheduledDial(sid)) {
+      return res.json({ success: true, action: 'unscheduled', jobId: sid });
+    }
+
+    const result = await cancelOutboundCall(sid);
+    if (!result.cancelled) {
+      return res.status(409).json({ error: 'Call has already finished', status: result.status });
+    }
+    return res.json({ success: true, action: result.action, callSid: sid });
+  } catch (err) {
+    if (err.status === 404) {
+      return res.status(404).json({ error: 'No call found for this id' });
+    }
+    console.error('Call cancel error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Upcoming dial jobs, soonest first (?kind=scheduled|deferred|redial|reminder&limit=)
+router.get('/jobs', async (req, res) => {
+  const { kind } = req.query;
+  if (kind && !JOB_KIND.includes(kind)) {
+    return res.status(400).json({ error: `\`kind\` must be one of ${JOB_KIND.join(', ')}` });
+  }
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+  try {
+    return res.json(await listUpcomingDials({ kind, limit }));
+  } catch (err) {
+    console.error('Job list error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Every dial attempt of the reminder `sid` belongs to
+router.get('/attempts/:sid', async (req, res) => {
+  try {
+    const history = await ServiceBooking.attemptHistory(req.params.sid);
+    if (!history) {
+      return res.status(404).json({ error: 'No booking found for this CallSid' });
+    }
+    return res.json(history);
+  } catch (err) {
+    console.error('Attempt history error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -10,16 +10,25 @@
  * Twilio webhook configuration:
  *   Call URL    → POST  {PUBLIC_URL}/voice
  *   Gather URL  → POST  {PUBLIC_URL}/voice/process
+ *   Partial URL → POST  {PUBLIC_URL}/voice/partial
+ *   Status URL  → POST  {PUBLIC_URL}/voice/status
+ *   Handoff     → POST  {PUBLIC_URL}/voice/handoff            (<Dial> action)
+ *                 POST  {PUBLIC_URL}/voice/handoff/voicemail  (<Record> action)
+ *
+ * Every route is checked with validateTwilioSignature — requests without a
+ * valid provider signature get 403.
  *
  * This file contains ZERO business logic.
  * All logic lives in voice.service.js.
  */
 
 import express from "express";
-import VoiceService from "../controllers/voiceController.js";
+import VoiceService, { validateTwilioSignature } from "../controllers/voiceController.js";
 
 const router = express.Router();
 
+router.use(validateTwilioSignature);
+
 /**
  * POST /voice
  * Twilio fires this when the outbound call is first answered.
@@ -34,4 +43,35 @@ router.post("/", (req, res) => VoiceService.handleInitialCall(req, res));
  */
 router.post("/process", (req, res) => VoiceService.handleUserInput(req, res));
 
+/**
+ * POST /voice/partial
+ * Partial speech results while the caller is still talking (every
+ * <Gather> sets partialResultCallback). Clear short answers are acted on
+ * early by redirecting the call to /voice/process?early=1.
+ */
+router.post("/partial", (req, res) => VoiceService.handlePartialResult(req, res));
+
+/**
+ * POST /voice/handoff
+ * The desk leg of a human handoff ended (<Dial> action). Answered →
+ * goodbye and hang up; not answered → voicemail prompt and <Record>.
+ */
+router.post("/handoff", (req, res) => VoiceService.handleHandoffDial(req, res));
+
+/**
+ * POST /voice/handoff/voicemail
+ * The caller's voicemail for the desk (<Record> action). Saves the
+ * recording on the booking and ends the call.
+ */
+router.post("/handoff/voicemail", (req, res) => VoiceService.handleHandoffVoicemail(req, res));
+
+/**
+ * POST /voice/status
+ * Twilio call status callback, registered on every outbound call.
+ * Records ringing / answered / completed timestamps and the real call
+ * duration, ends live sessions on hangup and records / redials
+ * unanswered calls.
+ */
+router.post("/status", (req, res) => VoiceService.handleStatusCallback(req, res));
+
 export default router;
@@ -0,0 +1,26 @@
+/**
+ * webhooks.routes.js
+ * ================================
+ * Outcome webhook administration.
+ *
+ *   GET  /webhooks/endpoints                 → configured endpoints (no secrets)
+ *   GET  /webhooks/dead-letters              → failed deliveries, newest first
+ *                                              (?event=&endpoint=&includeReplayed=true&limit=)
+ *   POST /webhooks/dead-letters/replay       → re-queue every matching dead letter
+ *                                              (?event=&endpoint=)
+ *   POST /webhooks/dead-letters/:id/replay   → re-queue one dead letter
+ *
+ * All logic lives in webhookController.js.
+ */
+
+import express from "express";
+import WebhookController from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+router.get("/endpoints", (req, res) => WebhookController.listEndpoints(req, res));
+router.get("/dead-letters", (req, res) => WebhookController.listDeadLetters(req, res));
+router.post("/dead-letters/replay", (req, res) => WebhookController.replayMany(req, res));
+router.post("/dead-letters/:id/replay", (req, res) => WebhookController.replayOne(req, res));
+
+export default router;
@@ -0,0 +1,110 @@
+/**
+ * build-prompt-cache.js
+ * ================================
+ * Offline step for the prompt cache (utils/promptCache.js): synthesizes
+ * the fixed phrases of the voice lines to MP3 files that the server
+ * plays instead of <Say>.
+ *
+ * Re-run after changing any text in the voice lines. Only phrases
+ * whose text changed are synthesized again; audio no longer referenced
+ * is deleted. Synthesis uses the call voice (Polly / Google — see
+ * utils/tts.js for the credentials each needs).
+ *
+ * Usage:
+ *   npm run build-prompts -- [--dry-run] [--force]
+ *
+ * Options:
+ *   --dry-run   list the phrases and what would change, write nothing
+ *   --force     synthesize every phrase again
+ */
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  PROMPT_CACHE_DIR, PROMPT_AUDIO_DIR,
+  catalogueVersion, audioFileName, readManifest, writeManifest,
+} from "../utils/promptCache.js";
+import { synthesize } from "../utils/tts.js";
+import { promptCatalogue } from "../controllers/voiceController.js";
+
+const print = (line = "") => process.stdout.write(`${line}\n`);
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      force:     { type: "boolean", default: false },
+    },
+  }));
+} catch (err) {
+  print(err.message);
+  print("Usage: npm run build-prompts -- [--dry-run] [--force]");
+  process.exit(1);
+}
+
+/* =====================================================================
+   PLAN
+   ===================================================================== */
+const catalogue = promptCatalogue();
+const version   = catalogueVersion(catalogue);
+const previous  = readManifest();
+
+const prompts = Object.fromEntries(catalogue.phrases.map(text => [text, audioFileName(catalogue, text)]));
+const missing = catalogue.phrases.filter(text =>
+  args.force || !fs.existsSync(path.join(PROMPT_AUDIO_DIR, prompts[text])));
+const wanted  = new Set(Object.values(prompts));
+const stale   = fs.existsSync(PROMPT_AUDIO_DIR)
+  ? fs.readdirSync(PROMPT_AUDIO_DIR).filter(file => !wanted.has(file))
+  : [];
+
+print(`Prompt cache ${PROMPT_CACHE_DIR}`);
+print(`  voice ${catalogue.voice} (${catalogue.language}), ${catalogue.phrases.length} phrases, version ${version}` +
+      (previous ? ` (was ${previous.version})` : " (new)"));
+print(`  ${missing.length} to synthesize, ${stale.length} to delete`);
+
+if (args["dry-run"]) {
+  for (const text of missing) print(`  + ${text}`);
+  for (const file of stale)   print(`  - ${file}`);
+  process.exit(0);
+}
+
+if (!missing.length && !stale.length && previous?.version === version) {
+  print("Up to date.");
+  process.exit(0);
+}
+
+/* =====================================================================
+   BUILD
+   ===================================================================== */
+fs.mkdirSync(PROMPT_AUDIO_DIR, { recursive: true });
+
+let failed = 0;
+for (const [i, text] of missing.entries()) {
+  const file = prompts[text];
+  try {
+    const audio = await synthesize({ text, voice: catalogue.voice, language: catalogue.language });
+    fs.writeFileSync(path.join(PROMPT_AUDIO_DIR, file), audio);
+    print(`  [${i + 1}/${missing.length}] ${file}  ${text.slice(0, 60)}`);
+  } catch (err) {
+    failed++;
+    print(`  [${i + 1}/${missing.length}] FAILED ${text.slice(0, 60)} — ${err.response?.status || err.$metadata?.httpStatusCode || ""} ${err.message}`);
+  }
+}
+
+for (const file of stale) fs.rmSync(path.join(PROMPT_AUDIO_DIR, file), { force: true });
+
+// A failed phrase stays out of the manifest, so calls keep <Say>ing it
+writeManifest({
+  version,
+  voice:    catalogue.voice,
+  language: catalogue.language,
+  builtAt:  new Date().toISOString(),
+  prompts:  Object.fromEntries(Object.entries(prompts).filter(([, file]) =>
+    fs.existsSync(path.join(PROMPT_AUDIO_DIR, file)))),
+});
+
+print(failed ? `Done with ${failed} failures — re-run to retry them.` : "Done.");
+process.exit(failed ? 1 : 0);
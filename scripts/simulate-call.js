@@ -0,0 +1,219 @@
+/**
+ * simulate-call.js
+ * ================================
+ * Text-mode conversation simulator for script authors — try the voice
+ * flow without placing a phone call.
+ *
+ * Runs the real handlers (greeting → handleUserInput → …) on the
+ * in-process telephony simulator: each typed line is posted as the
+ * caller's speech, and the bot's reply, the detected intent and the
+ * state transition are printed. No MongoDB is needed; outcome saves fail
+ * fast and are ignored.
+ *
+ * Usage:
+ *   npm run simulate -- [options]
+ *
+ * Options:
+ *   --name <text>         customer name              (default "Ramesh")
+ *   --model <text>        machine model              (default "3DX")
+ *   --number <text>       machine number             (default "JCB-3DX-1042")
+ *   --service <text>      service type               (default "500 Hour")
+ *   --due <YYYY-MM-DD>    due date
+ *   --confidence <0..1>   STT confidence sent with every line (default 0.9)
+ *   --today <YYYY-MM-DD>  freeze "today" (IST) so date answers repeat
+ *   --answered-by <text>  e.g. machine_end_beep to hear the voicemail path
+ *   --verbose             show the controller's own logs
+ *
+ * While running:
+ *   <text>                say something
+ *   !<text>               say it over the prompt (barge-in)
+ *   #<digits>             press keys on the keypad, e.g. #1 or #21
+ *   (empty line)          silence — no speech detected
+ *   /conf <0..1>          change the STT confidence for later lines
+ *   /desk [status]        result of a handoff transfer: completed (default),
+ *                         no-answer, busy, failed
+ *   /vm [seconds]         leave a voicemail after the beep (default 10)
+ *   /hangup               caller hangs up
+ *   /quit                 exit
+ */
+
+import readline from "readline";
+import { parseArgs } from "util";
+
+const USAGE = "Usage: npm run simulate -- [--name X] [--model X] [--number X] [--service X] [--due YYYY-MM-DD] " +
+              "[--confidence 0.9] [--today YYYY-MM-DD] [--answered-by human] [--verbose]";
+
+/* =====================================================================
+   OPTIONS
+   ===================================================================== */
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      name:          { type: "string", default: "Ramesh" },
+      model:         { type: "string", default: "3DX" },
+      number:        { type: "string", default: "JCB-3DX-1042" },
+      service:       { type: "string", default: "500 Hour" },
+      due:           { type: "string", default: "" },
+      confidence:    { type: "string", default: "0.9" },
+      today:         { type: "string" },
+      "answered-by": { type: "string", default: "human" },
+      verbose:       { type: "boolean", default: false },
+      help:          { type: "boolean", default: false },
+    },
+  }));
+} catch (err) {
+  console.error(`${err.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+function parseConfidence(raw) {
+  const value = Number(raw);
+  return value >= 0 && value <= 1 ? value : null;
+}
+
+let confidence = parseConfidence(args.confidence);
+if (confidence === null) {
+  console.error("--confidence must be between 0 and 1");
+  process.exit(1);
+}
+
+/* Frozen "today": the clock starts at 11:00 IST on that day and runs from
+   there, so "kal" / "somwar" always resolve to the same dates */
+if (args.today) {
+  const start = Date.parse(`${args.today}T11:00:00+05:30`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.today) || Number.isNaN(start)) {
+    console.error("--today must be YYYY-MM-DD");
+    process.exit(1);
+  }
+  const realNow = Date.now.bind(Date);
+  const offset  = start - realNow();
+  Date.now = () => realNow() + offset;
+}
+
+/* =====================================================================
+   ENVIRONMENT — in-process telephony, in-memory call context and
+   session store, no DB
+   ===================================================================== */
+process.env.TELEPHONY_PROVIDER = "simulator";
+process.env.CALL_CONTEXT_STORE = "memory";
+process.env.SESSION_STORE      = "memory";
+process.env.PUBLIC_URL         = process.env.PUBLIC_URL || "http://simulator.local";
+
+const print = (line = "") => process.stdout.write(`${line}\n`);
+if (!args.verbose) {
+  console.log = console.warn = console.info = () => {};
+  console.error = () => {};
+}
+
+const mongoose = (await import("mongoose")).default;
+mongoose.set("bufferCommands", false);
+
+const { default: telephony }           = await import("../utils/telephony/index.js");
+const { default: callContextStore }    = await import("../utils/callContextStore.js");
+const { createSimulatedCall }          = await import("../utils/telephony/simulatedCall.js");
+const { default: VoiceController }     = await import("../controllers/voiceController.js");
+
+/* =====================================================================
+   CALL
+   ===================================================================== */
+const { sid } = await telephony.placeCall({ to: "+910000000000" });
+await callContextStore.set(sid, {
+  customerName:  args.name,
+  customerPhone: "+910000000000",
+  machineModel:  args.model,
+  machineNumber: args.number,
+  serviceType:   args.service,
+  dueDate:       args.due,
+});
+const call = createSimulatedCall(sid);
+
+async function printTurn(turn, previousState) {
+  const snapshot = await VoiceController.getSessionSnapshot(sid);
+  const state    = snapshot?.state ?? "ended";
+  const intent   = snapshot?.lastTurn?.intent ?? "-";
+
+  print(`BOT : ${turn.text || "[no speech]"}`);
+  const dial   = turn.verbs.find(v => v.verb === "dial");
+  const record = turn.verbs.find(v => v.verb === "record");
+  if (dial)   print(`      [transferring to ${dial.number} — /desk completed | no-answer | busy]`);
+  if (record) print(`      [recording voicemail, up to ${record.maxLength}s — /vm <seconds>, or /hangup]`);
+  const keys   = turn.verbs.find(v => v.verb === "gather" && v.numDigits);
+  if (keys)   print(`      [keypad: up to ${keys.numDigits} digit${keys.numDigits > 1 ? "s" : ""} — #<digits>]`);
+  const flags    = [snapshot?.lastTurn?.actedEarly && "early", snapshot?.lastTurn?.bargeIn && "barge-in"].filter(Boolean);
+  print(`      intent: ${intent}   state: ${previousState} → ${state}${flags.length ? `   [${flags.join(", ")}]` : ""}${turn.ended ? "   [call ended]" : ""}`);
+  if (snapshot?.preferredDate || snapshot?.branch) {
+    const date   = snapshot.resolvedDate?.display || snapshot.preferredDate || "-";
+    const branch = snapshot.branch ? `${snapshot.branch.name} (${snapshot.branch.city})` : "-";
+    print(`      date: ${date}   branch: ${branch}`);
+  }
+  print();
+  return state;
+}
+
+print(`Simulating call ${sid}${args.today ? ` — today frozen at ${args.today}` : ""}`);
+print(`Type what the customer says. !text = barge in, #digits = keypad, empty line = silence, /conf 0.3, /desk, /vm, /hangup, /quit\n`);
+
+let state = await printTurn(await call.answer({ answeredBy: args["answered-by"] }), "(dialing)");
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+rl.setPrompt("YOU > ");
+// Piped input (a saved script) is echoed instead of prompted
+const prompt = () => (process.stdin.isTTY ? rl.prompt() : null);
+if (!call.ended) prompt();
+
+for await (const line of rl) {
+  if (call.ended) break;
+  const input = line.trim();
+  if (!process.stdin.isTTY) print(`YOU > ${input}`);
+
+  if (input === "/quit") break;
+  if (input === "/hangup") {
+    await call.hangup();
+    print("[caller hung up]");
+    break;
+  }
+  if (input.startsWith("/conf")) {
+    const value = parseConfidence(input.slice(5).trim());
+    if (value === null) print("confidence must be between 0 and 1");
+    else {
+      confidence = value;
+      print(`confidence → ${confidence}`);
+    }
+    prompt();
+    continue;
+  }
+
+  if (input.startsWith("/desk") || input.startsWith("/vm")) {
+    const [command, value] = input.split(/\s+/);
+    const turn = command === "/desk"
+      ? await call.desk(value || "completed")
+      : await call.voicemail(value ? Number(value) : 10);
+    state = await printTurn(turn, state);
+    if (call.ended) break;
+    prompt();
+    continue;
+  }
+
+  if (/^#\d+$/.test(input)) {
+    state = await printTurn(await call.press(input.slice(1)), state);
+    if (call.ended) break;
+    prompt();
+    continue;
+  }
+
+  const bargeIn = input.startsWith("!");
+  const speech  = bargeIn ? input.slice(1).trim() : input;
+  const turn    = speech ? await call.say(speech, { confidence, bargeIn }) : await call.silence();
+  state = await printTurn(turn, state);
+  if (call.ended) break;
+  prompt();
+}
+
+rl.close();
+process.exit(0);
@@ -3,8 +3,20 @@ import dotenv from 'dotenv';
 dotenv.config();
 import outboundRoutes from './routes/outbound.js';
 import voiceRoutes from './routes/voice.js';
+import campaignRoutes from './routes/campaigns.js';
+import dncRoutes from './routes/dnc.js';
+import machineRoutes from './routes/machines.js';
+import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
 // import aivoiceRoutes from './routes/aiVoiceRoutes.js';
 import connectDB from './config/db.js';
+import { requireApiKey } from './middleware/apiKeyAuth.js';
+import { resumeRunningCampaigns } from './utils/campaignRunner.js';
+import { startDialWorker } from './utils/dialScheduler.js';
+import { startServiceReminderJob } from './utils/serviceIntervalEngine.js';
+import { startWebhookWorker } from './utils/outcomeWebhooks.js';
+import { PROMPT_AUDIO_DIR, PROMPT_ROUTE, checkPromptCache } from './utils/promptCache.js';
+import { promptCatalogue } from './controllers/voiceController.js';
 
 const app = express();
 const PORT = process.env.PORT ;
@@ -13,14 +25,28 @@ const PORT = process.env.PORT ;
 // REQUIRED — Twilio sends POST data as URL-encoded form, not JSON
 app.use(express.urlencoded({ extended: false }));
 
-// Also add JSON parser for your /call REST endpoint
-app.use(express.json());
+// REST endpoints need an API key (GET → read scope, other methods → write
+// scope). /voice is called by the telephony provider and is checked by
+// signature instead.
+const callsScope = { read: 'bookings:read', write: 'calls:create' };
+
+// Bulk uploads parse their own, larger bodies (routes/campaigns.js,
+// routes/dnc.js), so they are mounted ahead of the default JSON parser
+// and its 100kb limit
+app.use('/campaigns', requireApiKey(callsScope), campaignRoutes)
+app.use('/dnc', requireApiKey({ read: 'bookings:read', write: 'admin' }), dncRoutes)
 
-// Middleware
+// JSON parser for the other REST endpoints
 app.use(express.json());
 
-app.use('/outbound', outboundRoutes)
+app.use('/outbound', requireApiKey(callsScope), outboundRoutes)
 app.use('/voice', voiceRoutes)
+// Pre-rendered prompt audio (npm run build-prompts), fetched by the
+// telephony provider for <Play>. File names are content hashes.
+app.use(PROMPT_ROUTE, express.static(PROMPT_AUDIO_DIR, { immutable: true, maxAge: '30d', index: false }))
+app.use('/machines', requireApiKey(callsScope), machineRoutes)
+app.use('/webhooks', requireApiKey('admin'), webhookRoutes)
+app.use('/api-keys', requireApiKey('admin'), apiKeyRoutes)
 // app.use('/voice', aivoiceRoutes)
 
 
@@ -31,6 +57,11 @@ app.get('/', (req, res) => {
 });
 
 await connectDB();  // Connect to MongoDB before starting the server
+await resumeRunningCampaigns();
+startDialWorker();
+startServiceReminderJob();
+startWebhookWorker();
+checkPromptCache(promptCatalogue());
 
 // Start server
 app.listen(PORT, () => {
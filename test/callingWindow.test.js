@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkCallingWindow } from "../utils/callingWindow.js";
+
+// Default calling hours (config/callingHours.js): Mon–Fri 10:00–19:00,
+// Sat 10:00–17:00, no calls on Sunday — all IST (UTC+05:30)
+
+test("inside the window — allowed", () => {
+  assert.deepEqual(checkCallingWindow(new Date("2026-10-20T06:30:00Z")), { allowed: true, reason: null, nextSlot: null });
+});
+
+test("before hours — next slot is the same day's opening", () => {
+  const window = checkCallingWindow(new Date("2026-10-20T03:30:00Z"));   // Tue 09:00 IST
+  assert.equal(window.reason, "before_hours");
+  assert.equal(window.nextSlot.toISOString(), "2026-10-20T04:30:00.000Z");
+});
+
+test("after hours — next slot is the next day's opening", () => {
+  const window = checkCallingWindow(new Date("2026-10-20T14:00:00Z"));   // Tue 19:30 IST
+  assert.equal(window.reason, "after_hours");
+  assert.equal(window.nextSlot.toISOString(), "2026-10-21T04:30:00.000Z");
+});
+
+test("Saturday evening skips the closed Sunday", () => {
+  const window = checkCallingWindow(new Date("2026-10-24T12:00:00Z"));   // Sat 17:30 IST
+  assert.equal(window.reason, "after_hours");
+  assert.equal(window.nextSlot.toISOString(), "2026-10-26T04:30:00.000Z");
+});
+
+test("Sunday — closed day", () => {
+  const window = checkCallingWindow(new Date("2026-10-25T06:30:00Z"));
+  assert.equal(window.reason, "closed_day");
+  assert.equal(window.nextSlot.toISOString(), "2026-10-26T04:30:00.000Z");
+});
+
+test("holiday — yearly MM-DD and one-off dates", () => {
+  const gandhiJayanti = checkCallingWindow(new Date("2026-10-02T06:30:00Z"));   // Fri
+  assert.equal(gandhiJayanti.reason, "holiday");
+  assert.equal(gandhiJayanti.nextSlot.toISOString(), "2026-10-03T04:30:00.000Z");
+
+  assert.equal(checkCallingWindow(new Date("2026-11-08T06:30:00Z")).reason, "holiday");   // Diwali
+});
+
+test("the IST day is used, not the UTC one", () => {
+  // Mon 00:30 IST is still Sunday in UTC
+  const window = checkCallingWindow(new Date("2026-10-25T19:00:00Z"));
+  assert.equal(window.reason, "before_hours");
+  assert.equal(window.nextSlot.toISOString(), "2026-10-26T04:30:00.000Z");
+});
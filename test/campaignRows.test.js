@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateRows } from "../controllers/campaignController.js";
+
+const row = (fields = {}) => ({
+  name: "Ramesh", phone: "9829012345", machineModel: "3DX", machineNumber: "RJ14 1234",
+  serviceType: "500 hr", dueDate: "2026-11-01", ...fields,
+});
+
+test("valid rows come back normalised", () => {
+  const { rows, errors } = validateRows([row({ name: " Ramesh ", dueDate: " 2026-11-01 " })]);
+  assert.deepEqual(errors, []);
+  assert.equal(rows[0].customerName, "Ramesh");
+  assert.equal(rows[0].phone, "+919829012345");
+  assert.equal(rows[0].dueDate, "2026-11-01");
+});
+
+test("dueDate must be YYYY-MM-DD", () => {
+  const { rows, errors } = validateRows([
+    row({ dueDate: "01/11/2026" }),
+    row({ dueDate: "next week" }),
+    row({ dueDate: "2026-13-01" }),
+    row(),
+  ]);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(errors, [
+    { row: 1, error: "`dueDate` must be YYYY-MM-DD" },
+    { row: 2, error: "`dueDate` must be YYYY-MM-DD" },
+    { row: 3, error: "`dueDate` is not a valid date" },
+  ]);
+});
+
+test("missing fields are reported per row", () => {
+  const { errors } = validateRows([row({ dueDate: "" })]);
+  assert.deepEqual(errors, [{ row: 1, error: "Missing dueDate" }]);
+});
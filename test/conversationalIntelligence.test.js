@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  processUserInput, detectEarlyIntent, keypadToSpeech, keypadBranch,
+  KEYPAD_CENTERS, INTENT,
+} from "../utils/conversational_intelligence.js";
+
+const intentOf = (text, state = "awaiting_initial_decision") =>
+  processUserInput(text, { state, customerName: "Ramesh", unknownStreak: 0, persuasionCount: 0 }).intent;
+
+function assertIntents(expected, cases) {
+  for (const text of cases) assert.equal(intentOf(text), expected, text);
+}
+
+/* ── Opt-out ─────────────────────────────────────────────────────── */
+test("opt-out — explicit requests and a stop-calling phrase with a 'never again' qualifier", () => {
+  assertIntents(INTENT.OPT_OUT, [
+    "dobara call mat karna",
+    "kabhi bhi phone mat karna",
+    "aage se mujhe call mat karo",
+    "baar baar call mat karo",
+    "dobara mat karjo",
+    "don't call me again",
+    "mera number list se hata do",
+    "unsubscribe",
+    "दोबारा कॉल मत करना",
+  ]);
+});
+
+test("opt-out — 'don't call' alone is a refusal, and a later time wins", () => {
+  assertIntents(INTENT.REJECT, ["call mat karo", "call band karo", "phone mat karo"]);
+  assertIntents(INTENT.RESCHEDULE, ["abhi call mat karo, kal karna", "kal dobara call karna"]);
+});
+
+test("opt-out ends the call from any state", () => {
+  const result = processUserInput("dobara call mat karna", { state: "awaiting_date", customerName: "Ramesh" });
+  assert.equal(result.nextState, "ended");
+  assert.equal(result.endCall, true);
+});
+
+/* ── Human handoff ───────────────────────────────────────────────── */
+test("handoff — asking to be put through to a person", () => {
+  assertIntents(INTENT.HUMAN_HANDOFF, [
+    "kisi insaan se baat karao",
+    "manager se baat karni hai",
+    "agent se connect karo",
+    "mujhe kisi aadmi se baat karwa do",
+    "samajh nahi aaya, office se baat karao",
+    "transfer kar do",
+    "talk to a person please",
+    "इंसान से बात कराओ",
+  ]);
+});
+
+test("handoff — mentioning a person or office is not a request", () => {
+  assertIntents(INTENT.ALREADY_DONE, ["maine office se baat kar li hai service ho gayi", "branch se baat ho chuki hai"]);
+  assert.notEqual(intentOf("kisi aadmi ko bhej do machine dekhne"), INTENT.HUMAN_HANDOFF);
+  assert.notEqual(intentOf("mere driver se baat karao"), INTENT.HUMAN_HANDOFF);
+});
+
+test("handoff keeps the state and leaves the line to the controller", () => {
+  const result = processUserInput("manager se baat karni hai", { state: "awaiting_date", customerName: "Ramesh" });
+  assert.deepEqual([result.replyText, result.nextState, result.endCall], [null, "awaiting_date", false]);
+});
+
+/* ── Early intent (partial results) ──────────────────────────────── */
+test("early intent — a partial result that is wholly a repeat request or a clear yes", () => {
+  for (const text of ["kya kaha", "ji kya kaha aapne", "dobara boliye please", "repeat"]) {
+    assert.equal(detectEarlyIntent(text), INTENT.REPEAT, text);
+  }
+  for (const text of ["haan", "haan ji"]) {
+    assert.equal(detectEarlyIntent(text), INTENT.CONFIRM, text);
+  }
+});
+
+test("early intent — anything still going on waits for the full answer", () => {
+  for (const text of ["kya", "haan ji kya time hai", "whatsapp pe bhej do", "somewhat busy",
+                      "network problem tha, kal kar denge", "dobara call mat karna", ""]) {
+    assert.equal(detectEarlyIntent(text), null, text);
+  }
+});
+
+/* ── Keypad ──────────────────────────────────────────────────────── */
+test("keypad — yes / no and weekday / date keys become speech", () => {
+  assert.equal(keypadToSpeech("1", "awaiting_initial_decision"), "haan");
+  assert.equal(keypadToSpeech("2", "awaiting_date_confirm"), "nahi");
+  assert.equal(keypadToSpeech("1", "awaiting_reason"), "haan book karo");
+  assert.equal(keypadToSpeech("3", "awaiting_initial_decision"), null);
+  assert.equal(keypadToSpeech("1", "awaiting_date"), "somwar");
+  assert.equal(keypadToSpeech("7", "awaiting_date"), "raviwar");
+  assert.equal(keypadToSpeech("05", "awaiting_date"), "5 tarikh");
+  assert.equal(keypadToSpeech("32", "awaiting_date"), null);
+  assert.equal(keypadToSpeech("#", "awaiting_date"), null);
+});
+
+test("keypad — every city menu key maps to its own service centre", () => {
+  KEYPAD_CENTERS.forEach((center, i) => {
+    const branch = keypadBranch(String(i + 1));
+    assert.deepEqual(
+      [branch.code, branch.name, branch.city],
+      [center.branch_code, center.branch_name, center.city_name],
+      `key ${i + 1}`,
+    );
+    assert.equal(keypadToSpeech(String(i + 1), "awaiting_branch"), center.city_name.toLowerCase());
+  });
+  assert.equal(keypadBranch("0"), null);
+  assert.equal(keypadBranch(String(KEYPAD_CENTERS.length + 1)), null);
+});
+
+test("keypad — a picked centre is booked as is, not re-matched from its city name", () => {
+  const neemKaThana = KEYPAD_CENTERS.findIndex(c => c.city_name === "NEEM KA THANA");
+  assert.ok(neemKaThana >= 0);
+  const picked = keypadBranch(String(neemKaThana + 1));
+  const result = processUserInput(keypadToSpeech(String(neemKaThana + 1), "awaiting_branch"), {
+    state: "awaiting_branch", customerName: "Ramesh", preferredDate: "kal", pickedBranch: picked,
+  });
+  assert.deepEqual(result.extractedBranch, picked);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../utils/csv.js";
+
+test("rows keyed by the trimmed header names", () => {
+  assert.deepEqual(parseCsv("name , phone\nRamesh, 9829012345\nSuresh,9829012346\n"), [
+    { name: "Ramesh", phone: "9829012345" },
+    { name: "Suresh", phone: "9829012346" },
+  ]);
+});
+
+test("quoted fields, escaped quotes, CRLF and a byte-order mark", () => {
+  const text = '\uFEFFname,address\r\n"Sharma, Ramesh","Plot 5, ""A"" Block\r\nJaipur"\r\n';
+  assert.deepEqual(parseCsv(text), [{ name: "Sharma, Ramesh", address: 'Plot 5, "A" Block\r\nJaipur' }]);
+});
+
+test("blank lines are skipped and short rows padded", () => {
+  assert.deepEqual(parseCsv("a,b,c\n\n1,2\n,,\n"), [{ a: "1", b: "2", c: "" }]);
+});
+
+test("empty or non-string input", () => {
+  assert.deepEqual(parseCsv(""), []);
+  assert.deepEqual(parseCsv(null), []);
+  assert.deepEqual(parseCsv("a,b\n"), []);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeIndianPhone } from "../utils/phone.js";
+
+test("the shapes customers and ops sheets use all become E.164", () => {
+  for (const raw of ["9829012345", "98290 12345", "098290-12345", "+91 98290 12345", "91-9829012345",
+                     "0091 9829012345", "+91 0 98290 12345", 9829012345]) {
+    assert.deepEqual(normalizeIndianPhone(raw), { e164: "+919829012345" }, String(raw));
+  }
+  assert.deepEqual(normalizeIndianPhone("(0141) 2345678"), { e164: "+911412345678" });
+});
+
+test("invalid numbers are rejected with a reason", () => {
+  for (const raw of [undefined, null, "", "  ", "98290abc45", "98+29012345", "+1 415 555 0100",
+                     "982901234", "98290123456", "0000012345"]) {
+    const result = normalizeIndianPhone(raw);
+    assert.equal(result.e164, undefined, String(raw));
+    assert.equal(typeof result.error, "string", String(raw));
+  }
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nextMilestone, predictNextService } from "../utils/serviceIntervalEngine.js";
+import { scheduleForModel } from "../config/serviceIntervals.js";
+
+const schedule = scheduleForModel("default");
+
+test("nextMilestone — first service, then multiples named after the largest interval", () => {
+  assert.deepEqual(nextMilestone(0, schedule),    { dueHMR: 250,  serviceType: "250 Hour" });
+  assert.deepEqual(nextMilestone(249, schedule),  { dueHMR: 250,  serviceType: "250 Hour" });
+  assert.deepEqual(nextMilestone(250, schedule),  { dueHMR: 500,  serviceType: "500 Hour" });
+  assert.deepEqual(nextMilestone(999, schedule),  { dueHMR: 1000, serviceType: "1000 Hour" });
+  assert.deepEqual(nextMilestone(1000, schedule), { dueHMR: 1500, serviceType: "500 Hour" });
+  assert.deepEqual(nextMilestone(1500, schedule), { dueHMR: 2000, serviceType: "2000 Hour" });
+});
+
+test("predictNextService — due date from the daily usage since the last service", () => {
+  const at = new Date("2026-10-20T06:30:00Z");   // 12:00 IST
+  const prediction = predictNextService({
+    model: "3DX", lastServiceHMR: 500, lastServiceDate: at, averageDailyHours: 10,
+  }, at);
+  assert.deepEqual(prediction, {
+    estimatedHMR: 500, dueHMR: 1000, serviceType: "1000 Hour", dueDate: "2026-12-09", daysUntilDue: 50,
+  });
+});
+
+test("predictNextService — a service done a little early counts as its milestone", () => {
+  const at = new Date("2026-10-20T06:30:00Z");
+  const machine = (lastServiceHMR) => ({ model: "3DX", lastServiceHMR, lastServiceDate: at, averageDailyHours: 8 });
+  assert.equal(predictNextService(machine(490), at).dueHMR, 1000);
+  assert.equal(predictNextService(machine(960), at).dueHMR, 1500);
+  assert.equal(predictNextService(machine(400), at).dueHMR, 500);
+});
+
+test("predictNextService — an overdue machine stays due until a service is recorded", () => {
+  const at = new Date("2026-10-20T06:30:00Z");
+  const prediction = predictNextService({
+    model: "3DX", lastServiceHMR: 500, lastServiceDate: new Date("2026-06-01T00:00:00Z"), averageDailyHours: 10,
+  }, at);
+  assert.equal(prediction.dueHMR, 1000);
+  assert.ok(prediction.estimatedHMR > 1000);
+  assert.ok(prediction.daysUntilDue < 0);
+});
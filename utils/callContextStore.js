@@ -0,0 +1,160 @@
+/**
+ * callContextStore.js
+ * ================================
+ * Pluggable store for outbound call context, keyed by CallSid — or, until
+ * the provider has returned one, by the dialer's own `ctx_…` key (see
+ * utils/outboundDialer.js).
+ *
+ * Backends (CALL_CONTEXT_STORE env):
+ *   • "mongo"  (default) — CallContext collection with a TTL index;
+ *                          survives restarts and is shared by all instances
+ *   • "memory"           — process-local Map; single instance / local dev only
+ *
+ * Every backend exposes the same async API:
+ *   set(callSid, data)     replace the context, restarting its TTL
+ *   update(callSid, patch) merge fields into an existing context (no-op if absent)
+ *   get(callSid)           context or null
+ *   delete(callSid)
+ *   findRecent({ customerPhone, machineNumber }, since)
+ *                          newest context for that phone OR machine placed
+ *                          after `since` → { callSid, createdAt, ...context } | null
+ *   listRecent(customerPhone, since)
+ *                          every context for that phone placed after `since`
+ *                          → [{ callSid, createdAt }]
+ */
+
+import CallContext from "../models/CallContext.js";
+
+const TTL_MS = Number(process.env.CALL_CONTEXT_TTL_HOURS || 6) * 60 * 60 * 1000;
+
+const CONTEXT_FIELDS = [
+  "customerName", "customerPhone", "machineModel", "machineNumber", "serviceType", "dueDate",
+  "attemptNumber", "originalCallSid",
+  "ringingAt", "answeredAt",
+];
+
+function pickContext(data) {
+  return Object.fromEntries(CONTEXT_FIELDS.map(f => [f, data?.[f] ?? null]));
+}
+
+function pickPatch(patch) {
+  return Object.fromEntries(Object.entries(patch || {}).filter(([f]) => CONTEXT_FIELDS.includes(f)));
+}
+
+/* =====================================================================
+   MONGO BACKEND
+   ===================================================================== */
+function createMongoStore() {
+  return {
+    async set(callSid, data) {
+      await CallContext.updateOne(
+        { callSid },
+        { $set: { ...pickContext(data), expiresAt: new Date(Date.now() + TTL_MS) } },
+        { upsert: true }
+      );
+    },
+
+    async update(callSid, patch) {
+      await CallContext.updateOne({ callSid }, { $set: pickPatch(patch) });
+    },
+
+    async get(callSid) {
+      const doc = await CallContext.findOne({ callSid, expiresAt: { $gt: new Date() } }).lean();
+      return doc ? pickContext(doc) : null;
+    },
+
+    async delete(callSid) {
+      await CallContext.deleteOne({ callSid });
+    },
+
+    async findRecent({ customerPhone, machineNumber }, since) {
+      const or = [];
+      if (customerPhone) or.push({ customerPhone });
+      if (machineNumber) or.push({ machineNumber });
+      if (!or.length) return null;
+
+      const doc = await CallContext
+        .findOne({ $or: or, createdAt: { $gte: since }, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .lean();
+      return doc ? { callSid: doc.callSid, createdAt: doc.createdAt, ...pickContext(doc) } : null;
+    },
+
+    async listRecent(customerPhone, since) {
+      return CallContext
+        .find({ customerPhone, createdAt: { $gte: since }, expiresAt: { $gt: new Date() } }, { _id: 0, callSid: 1, createdAt: 1 })
+        .lean();
+    },
+  };
+}
+
+/* =====================================================================
+   MEMORY BACKEND
+   ===================================================================== */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async set(callSid, data) {
+      entries.set(callSid, { data: pickContext(data), createdAt: new Date(), expiresAt: Date.now() + TTL_MS });
+    },
+
+    async update(callSid, patch) {
+      const entry = entries.get(callSid);
+      if (entry) Object.assign(entry.data, pickPatch(patch));
+    },
+
+    async get(callSid) {
+      const entry = entries.get(callSid);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(callSid);
+        return null;
+      }
+      return { ...entry.data };
+    },
+
+    async delete(callSid) {
+      entries.delete(callSid);
+    },
+
+    async findRecent({ customerPhone, machineNumber }, since) {
+      let newest = null;
+      for (const [callSid, entry] of entries) {
+        if (entry.expiresAt <= Date.now() || entry.createdAt < since) continue;
+        const match = (customerPhone && entry.data.customerPhone === customerPhone) ||
+                      (machineNumber && entry.data.machineNumber === machineNumber);
+        if (match && (!newest || entry.createdAt > newest.createdAt)) {
+          newest = { callSid, createdAt: entry.createdAt, ...entry.data };
+        }
+      }
+      return newest;
+    },
+
+    async listRecent(customerPhone, since) {
+      const found = [];
+      for (const [callSid, entry] of entries) {
+        if (entry.expiresAt <= Date.now() || entry.createdAt < since) continue;
+        if (entry.data.customerPhone === customerPhone) found.push({ callSid, createdAt: entry.createdAt });
+      }
+      return found;
+    },
+  };
+}
+
+/* =====================================================================
+   BACKEND SELECTION
+   ===================================================================== */
+const BACKENDS = {
+  mongo:  createMongoStore,
+  memory: createMemoryStore,
+};
+
+const backendName = (process.env.CALL_CONTEXT_STORE || "mongo").toLowerCase();
+if (!BACKENDS[backendName]) {
+  throw new Error(`Unknown CALL_CONTEXT_STORE "${backendName}" — use ${Object.keys(BACKENDS).join(" | ")}`);
+}
+
+const callContextStore = BACKENDS[backendName]();
+
+export default callContextStore;
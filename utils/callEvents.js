@@ -0,0 +1,21 @@
+/**
+ * callEvents.js
+ * ================================
+ * In-process event bus for call lifecycle events, so modules that care
+ * about a call finishing (campaign runner, …) don't have to be imported
+ * by the voice controller.
+ *
+ * Events:
+ *   "call.ended"  → { callSid, reason, outcome }
+ *                   emitted once the call outcome has been written.
+ */
+
+import { EventEmitter } from "events";
+
+const callEvents = new EventEmitter();
+
+export const CALL_EVENT = {
+  ENDED: "call.ended",
+};
+
+export default callEvents;
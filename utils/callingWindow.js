@@ -0,0 +1,54 @@
+/* =====================================================================
+   callingWindow.js — IST calling-hours + holiday checks
+
+   checkCallingWindow(at?) → {
+     allowed:  boolean,
+     reason:   null | "holiday" | "closed_day" | "before_hours" | "after_hours",
+     nextSlot: Date | null,   // first allowed instant when not allowed
+   }
+   ===================================================================== */
+
+import callingHours from "../config/callingHours.js";
+import { IST_OFFSET_MS, addDays, formatISO } from "./dateResolver.js";
+
+const MAX_LOOKAHEAD_DAYS = 14;
+
+function isHoliday(istDate) {
+  const iso = formatISO(istDate);
+  return callingHours.holidays.has(iso) || callingHours.holidays.has(iso.slice(5));
+}
+
+/** IST midnight of `istDate` + `minutes`, converted back to a real instant. */
+function slotInstant(istDate, minutes) {
+  const midnight = Date.UTC(istDate.getUTCFullYear(), istDate.getUTCMonth(), istDate.getUTCDate());
+  return new Date(midnight + minutes * 60 * 1000 - IST_OFFSET_MS);
+}
+
+function findNextSlot(istNow, minutesNow) {
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const day    = addDays(istNow, offset);
+    const window = callingHours.windows[day.getUTCDay()];
+    if (!window || isHoliday(day)) continue;
+    if (offset === 0 && minutesNow >= window.end) continue;
+    const start = offset === 0 ? Math.max(window.start, minutesNow) : window.start;
+    return slotInstant(day, start);
+  }
+  return null;
+}
+
+export function checkCallingWindow(at = new Date()) {
+  const istNow     = new Date(at.getTime() + IST_OFFSET_MS);
+  const minutesNow = istNow.getUTCHours() * 60 + istNow.getUTCMinutes();
+  const window     = callingHours.windows[istNow.getUTCDay()];
+
+  let reason = null;
+  if (isHoliday(istNow))               reason = "holiday";
+  else if (!window)                    reason = "closed_day";
+  else if (minutesNow < window.start)  reason = "before_hours";
+  else if (minutesNow >= window.end)   reason = "after_hours";
+
+  if (!reason) return { allowed: true, reason: null, nextSlot: null };
+  return { allowed: false, reason, nextSlot: findNextSlot(istNow, minutesNow) };
+}
+
+export default { checkCallingWindow };
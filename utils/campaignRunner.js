@@ -0,0 +1,257 @@
+/**
+ * campaignRunner.js
+ * ================================
+ * Works through a Campaign's queued rows with a bounded number of
+ * simultaneous calls and a minimum gap between dials.
+ *
+ * One timer per running campaign drives `tick()`. A tick:
+ *   1. fails rows stuck in "dialing" longer than DIAL_TIMEOUT_MS
+ *   2. marks the campaign completed when nothing is queued or dialing
+ *   3. waits for the next allowed slot when outside IST calling hours
+ *   4. otherwise dials the next queued row if a slot is free and the
+ *      pace gap has passed, then re-arms the timer
+ *
+ * Timers are per process, so several instances may tick the same campaign.
+ * Every row write is conditional on the row's current status, and a row is
+ * claimed (queued → dialing) before it is dialed with a compare-and-set on
+ * the campaign's lastDialAt — only one instance wins each dial slot.
+ *
+ * A row whose phone is already on a live call waits; a row whose
+ * customer has hit a contact cap (utils/contactCaps.js) is skipped.
+ *
+ * Rows move from "dialing" to "completed" when the voice flow emits
+ * CALL_EVENT.ENDED for their CallSid, or — for a call that ended before
+ * its CallSid was written to the row — from the saved ServiceBooking.
+ */
+
+import Campaign from "../models/Campaign.js";
+import ServiceBooking from "../models/Servicebooking.js";
+import callEvents, { CALL_EVENT } from "./callEvents.js";
+import { placeOutboundCall } from "./outboundDialer.js";
+import { checkCallingWindow } from "./callingWindow.js";
+import { checkContactCaps } from "./contactCaps.js";
+
+/* =====================================================================
+   CONFIGURATION
+   ===================================================================== */
+const CFG = {
+  IDLE_POLL_MS:    15 * 1000,        // re-check while all slots are busy
+  DIAL_TIMEOUT_MS: 15 * 60 * 1000,   // no outcome after this → failed
+};
+
+/* =====================================================================
+   LOGGER
+   ===================================================================== */
+const log = {
+  info:  (tag, msg, meta = {}) => console.log  (`[campaign][${tag}] ${msg}`,  Object.keys(meta).length ? meta : ""),
+  warn:  (tag, msg, meta = {}) => console.warn (`[campaign][${tag}] WARN  ${msg}`, Object.keys(meta).length ? meta : ""),
+  error: (tag, msg, meta = {}) => console.error(`[campaign][${tag}] ERROR ${msg}`, Object.keys(meta).length ? meta : ""),
+};
+
+/* =====================================================================
+   TIMERS — one pending tick per running campaign
+   ===================================================================== */
+const timers = new Map();
+
+function schedule(campaignId, delayMs) {
+  const id = String(campaignId);
+  clearTimeout(timers.get(id));
+  timers.set(id, setTimeout(() => {
+    timers.delete(id);
+    // A tick that throws never reached its own schedule() — retry after a poll
+    tick(id).catch(err => {
+      log.error("tick", err.message, { campaignId: id });
+      if (!timers.has(id)) schedule(id, CFG.IDLE_POLL_MS);
+    });
+  }, Math.max(0, delayMs)));
+}
+
+function unschedule(campaignId) {
+  const id = String(campaignId);
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+}
+
+/* =====================================================================
+   ROW WRITES — conditional on the row's current status, so a row another
+   instance (or the ENDED handler) already moved is left alone
+   ===================================================================== */
+async function updateRow(campaignId, rowNumber, fromStatus, set, extraFilter = {}) {
+  const $set = Object.fromEntries(Object.entries(set).map(([k, v]) => [`rows.$.${k}`, v]));
+  const { modifiedCount } = await Campaign.updateOne(
+    { _id: campaignId, ...extraFilter, rows: { $elemMatch: { rowNumber, status: fromStatus } } },
+    { $set }
+  );
+  return modifiedCount > 0;
+}
+
+/* =====================================================================
+   TICK
+   ===================================================================== */
+async function tick(campaignId) {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign || campaign.status !== "running") return;
+
+  const now = Date.now();
+
+  for (const row of campaign.rows) {
+    if (row.status === "dialing" && now - row.dialedAt.getTime() > CFG.DIAL_TIMEOUT_MS) {
+      const set = { status: "failed", error: "No call outcome before timeout", finishedAt: new Date() };
+      if (await updateRow(campaignId, row.rowNumber, "dialing", set)) {
+        Object.assign(row, set);
+        log.warn("row", `Row ${row.rowNumber} timed out`, { campaignId, callSid: row.callSid });
+      }
+    }
+  }
+
+  const dialingRows = campaign.rows.filter(r => r.status === "dialing");
+  const busyPhones  = new Set(dialingRows.map(r => r.phone));
+  const dialing     = dialingRows.length;
+  const queued      = campaign.rows.some(r => r.status === "queued");
+  // Same customer, several machines — one call at a time
+  const next        = campaign.rows.find(r => r.status === "queued" && !busyPhones.has(r.phone));
+
+  if (!queued && dialing === 0) {
+    const { modifiedCount } = await Campaign.updateOne(
+      { _id: campaignId, status: "running", rows: { $not: { $elemMatch: { status: { $in: ["queued", "dialing"] } } } } },
+      { $set: { status: "completed", completedAt: new Date() } }
+    );
+    if (modifiedCount) log.info("done", "Campaign completed", { campaignId, ...campaign.progress() });
+    return;
+  }
+
+  if (!next || dialing >= campaign.concurrency) {
+    return schedule(campaignId, CFG.IDLE_POLL_MS);
+  }
+
+  const window = checkCallingWindow();
+  if (!window.allowed) {
+    log.info("window", `Outside calling hours (${window.reason}) — waiting`, { campaignId, nextSlot: window.nextSlot });
+    return schedule(campaignId, window.nextSlot ? window.nextSlot.getTime() - now : CFG.IDLE_POLL_MS);
+  }
+
+  const paceMs = campaign.paceSeconds * 1000;
+  const waitMs = campaign.lastDialAt ? campaign.lastDialAt.getTime() + paceMs - now : 0;
+  if (waitMs > 0) {
+    return schedule(campaignId, waitMs);
+  }
+
+  const capped = await checkContactCaps(next.phone);
+  if (capped) {
+    const skipped = await updateRow(campaignId, next.rowNumber, "queued", {
+      status:     "skipped",
+      skipReason: capped.reason,
+      error:      capped.message,
+      finishedAt: new Date(),
+    });
+    if (skipped) log.info("row", `Row ${next.rowNumber} skipped — ${capped.message}`, { campaignId });
+    return schedule(campaignId, 0);
+  }
+
+  // Claim the row before dialing. Matching on lastDialAt makes the claim a
+  // compare-and-set across instances: only one of them gets this dial slot
+  const dialedAt = new Date();
+  const claimed = await Campaign.updateOne(
+    {
+      _id: campaignId,
+      status: "running",
+      lastDialAt: campaign.lastDialAt,
+      rows: { $elemMatch: { rowNumber: next.rowNumber, status: "queued" } },
+    },
+    { $set: { "rows.$.status": "dialing", "rows.$.dialedAt": dialedAt, lastDialAt: dialedAt } }
+  );
+  if (!claimed.modifiedCount) {
+    log.info("dial", `Row ${next.rowNumber} claimed elsewhere — re-checking`, { campaignId });
+    return schedule(campaignId, 0);
+  }
+
+  await dialRow(campaignId, next);
+  schedule(campaignId, paceMs);
+}
+
+async function dialRow(campaignId, row) {
+  let call;
+  try {
+    call = await placeOutboundCall({
+      to:            row.phone,
+      customerName:  row.customerName,
+      machineModel:  row.machineModel,
+      machineNumber: row.machineNumber,
+      serviceType:   row.serviceType,
+      dueDate:       row.dueDate,
+    });
+  } catch (err) {
+    await updateRow(campaignId, row.rowNumber, "dialing", { status: "failed", error: err.message, finishedAt: new Date() });
+    log.error("dial", `Row ${row.rowNumber} failed: ${err.message}`, { campaignId });
+    return;
+  }
+
+  await updateRow(campaignId, row.rowNumber, "dialing", { callSid: call.sid });
+  log.info("dial", `Row ${row.rowNumber} → ${row.phone}`, { campaignId, callSid: call.sid });
+
+  // A call that ended before its CallSid was written emitted ENDED with no
+  // row to match — its outcome is already saved, so finish the row from it
+  const booking = await ServiceBooking.findOne({ callSid: call.sid }).select("outcome").lean();
+  if (booking) await completeRow(call.sid, booking.outcome);
+}
+
+/* =====================================================================
+   CALL COMPLETION
+   ===================================================================== */
+async function completeRow(callSid, outcome) {
+  const campaign = await Campaign.findOneAndUpdate(
+    { rows: { $elemMatch: { callSid, status: "dialing" } } },
+    { $set: {
+      "rows.$.status":     "completed",
+      "rows.$.outcome":    outcome,
+      "rows.$.finishedAt": new Date(),
+    } },
+    { projection: { _id: 1, status: 1 } }
+  );
+  if (campaign?.status === "running") schedule(campaign._id, 0);
+}
+
+callEvents.on(CALL_EVENT.ENDED, async ({ callSid, outcome }) => {
+  try {
+    await completeRow(callSid, outcome);
+  } catch (err) {
+    log.error("event", `Failed to record call end: ${err.message}`, { callSid });
+  }
+});
+
+/* =====================================================================
+   CONTROL
+   ===================================================================== */
+export function startCampaign(campaignId) {
+  schedule(campaignId, 0);
+}
+
+export async function setCampaignStatus(campaignId, status) {
+  const allowedFrom = {
+    paused:    ["running"],
+    running:   ["paused"],
+    cancelled: ["running", "paused"],
+  }[status];
+
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: campaignId, status: { $in: allowedFrom } },
+    { $set: { status } },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  if (status === "running") startCampaign(campaign._id);
+  else unschedule(campaign._id);
+
+  log.info("control", `Campaign → ${status}`, { campaignId: String(campaign._id) });
+  return campaign;
+}
+
+/** Re-arms every running campaign — call once after the DB connects. */
+export async function resumeRunningCampaigns() {
+  const running = await Campaign.find({ status: "running" }, { _id: 1 });
+  for (const { _id } of running) startCampaign(_id);
+  if (running.length) log.info("startup", `Resumed ${running.length} running campaign(s)`);
+}
+
+export default { startCampaign, setCampaignStatus, resumeRunningCampaigns };
@@ -0,0 +1,103 @@
+/* =====================================================================
+   contactCaps.js — per-customer call frequency limits
+   (see config/contactCaps.js)
+
+   checkContactCaps(customerPhone, at?) →
+     null                                      OK to call
+     { reason, message, retryAfter: Date }     capped
+
+   reason: "rejected_gap" | "daily_cap" | "weekly_cap"
+   Counts come from ServiceBooking history for the phone, plus calls not
+   finished yet: placed calls with no booking (call contexts) and dial
+   jobs still to fire, each counted at its runAt. The dial worker passes
+   `excludeJobId` so the job being checked does not count itself.
+   ===================================================================== */
+
+import ServiceBooking from "../models/Servicebooking.js";
+import DialJob from "../models/DialJob.js";
+import callContextStore from "./callContextStore.js";
+import contactCaps from "../config/contactCaps.js";
+import { IST_OFFSET_MS } from "./dateResolver.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts that never rang the customer's phone
+const NOT_CONTACTED = ["busy", "failed", "canceled"];
+
+function istDayStart(at) {
+  const ist = new Date(at.getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - IST_OFFSET_MS);
+}
+
+export async function checkContactCaps(customerPhone, at = new Date(), { excludeJobId = null } = {}) {
+  if (!customerPhone) return null;
+  const { maxPerDay, maxPerWeek, rejectedGapDays } = contactCaps;
+
+  if (rejectedGapDays) {
+    const rejected = await ServiceBooking
+      .findOne({ customerPhone, outcome: "rejected", createdAt: { $gte: new Date(at.getTime() - rejectedGapDays * DAY_MS) } })
+      .sort({ createdAt: -1 })
+      .select("createdAt")
+      .lean();
+    if (rejected) {
+      return {
+        reason:     "rejected_gap",
+        message:    `Customer declined on ${rejected.createdAt.toISOString()} — no calls for ${rejectedGapDays} day(s) after a rejection`,
+        retryAfter: new Date(rejected.createdAt.getTime() + rejectedGapDays * DAY_MS),
+      };
+    }
+  }
+
+  if (!maxPerDay && !maxPerWeek) return null;
+
+  const weekStart = new Date(at.getTime() - 7 * DAY_MS);
+  const dayStart  = istDayStart(at);
+  const dayEnd    = new Date(dayStart.getTime() + DAY_MS);
+
+  const bookings = await ServiceBooking
+    .find({ customerPhone, createdAt: { $gte: weekStart } })
+    .select("callSid callStatus createdAt")
+    .lean();
+  const finished = new Set(bookings.map(b => b.callSid));
+
+  const active = (await callContextStore.listRecent(customerPhone, weekStart))
+    .filter(c => !finished.has(c.callSid));
+
+  const jobFilter = {
+    "callData.to": customerPhone,
+    status: { $in: ["scheduled", "running"] },
+    runAt:  { $gte: weekStart, $lt: dayEnd },
+  };
+  if (excludeJobId) jobFilter._id = { $ne: excludeJobId };
+  const pending = await DialJob.find(jobFilter).select("runAt").lean();
+
+  const calls = [
+    ...bookings.filter(b => !NOT_CONTACTED.includes(b.callStatus)),
+    ...active,
+    ...pending.map(j => ({ createdAt: j.runAt })),
+  ].sort((a, b) => a.createdAt - b.createdAt);
+
+  const today = calls.filter(c => c.createdAt >= dayStart);
+  if (maxPerDay && today.length >= maxPerDay) {
+    return {
+      reason:     "daily_cap",
+      message:    `Already called or queued ${today.length} time(s) today (limit ${maxPerDay})`,
+      retryAfter: new Date(dayStart.getTime() + DAY_MS),
+    };
+  }
+
+  const week = calls.filter(c => c.createdAt >= weekStart);
+  if (maxPerWeek && week.length >= maxPerWeek) {
+    // A slot frees up when the oldest counted call leaves the 7-day window
+    const oldest = week[week.length - maxPerWeek];
+    return {
+      reason:     "weekly_cap",
+      message:    `Already called or queued ${week.length} time(s) in the last 7 days (limit ${maxPerWeek})`,
+      retryAfter: new Date(oldest.createdAt.getTime() + 7 * DAY_MS),
+    };
+  }
+
+  return null;
+}
+
+export default { checkContactCaps };
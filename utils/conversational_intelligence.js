@@ -14,6 +14,7 @@
  */
 
 import { resolveDate } from "./dateResolver.js";
+import { spellOut } from "./ssml.js";
 
 /* =====================================================================
    INTENT ENUM
@@ -33,6 +34,8 @@ export const INTENT = {
   REPEAT:               "repeat",
   CONFUSION:            "confusion",
   UNCLEAR:              "unclear",
+  OPT_OUT:              "opt_out",
+  HUMAN_HANDOFF:        "human_handoff",
   UNKNOWN:              "unknown",
 };
 
@@ -192,6 +195,10 @@ function levenshtein(a, b) {
   return dp[m][n];
 }
 
+function branchOf(center) {
+  return { code: center.branch_code, name: center.branch_name, city: center.city_name, address: center.city_add };
+}
+
 export function matchBranch(userText) {
   if (!userText) return null;
 
@@ -207,7 +214,7 @@ export function matchBranch(userText) {
   // Step 2: Exact / substring match
   for (const { token, center } of BRANCH_CANDIDATES) {
     if (token && norm.includes(token)) {
-      return { code: center.branch_code, name: center.branch_name, city: center.city_name, address: center.city_add };
+      return branchOf(center);
     }
   }
 
@@ -219,7 +226,7 @@ export function matchBranch(userText) {
       if (!token || token.length < 3) continue;
       const maxDist = token.length <= 5 ? 1 : token.length <= 8 ? 2 : 3;
       if (levenshtein(word, token) <= maxDist) {
-        return { code: center.branch_code, name: center.branch_name, city: center.city_name, address: center.city_add };
+        return branchOf(center);
       }
     }
   }
@@ -227,6 +234,51 @@ export function matchBranch(userText) {
   return null;
 }
 
+/* =====================================================================
+   KEYPAD (DTMF) ANSWERS
+   Keys pressed on the phone become the words the state machine already
+   understands, so processUserInput handles them exactly like speech:
+     yes / no states   1 = haan, 2 = nahi
+     awaiting_date     1–7 = somwar … raviwar, two digits = date (05, 21)
+     awaiting_branch   position in KEYPAD_CENTERS (1 = first city) — the
+                       centre itself goes to processUserInput as
+                       `pickedBranch`, never back through matchBranch
+   ===================================================================== */
+export const KEYPAD_WEEKDAYS = ["somwar", "mangalwar", "budhwar", "guruwar", "shukrawar", "shaniwar", "raviwar"];
+
+// One entry per active service centre, in SERVICE_CENTERS (city) order
+export const KEYPAD_CENTERS = SERVICE_CENTERS.filter(c => c.is_active);
+
+const KEYPAD_CHOICES = {
+  awaiting_initial_decision: ["haan", "nahi"],
+  awaiting_reason:           ["haan book karo", "nahi"],   // bare "haan" is filler here
+  awaiting_reason_persisted: ["haan book karo", "nahi"],
+  awaiting_date_confirm:     ["haan", "nahi"],
+  awaiting_service_details:  ["service ho chuki hai"],
+};
+
+const keypadNumber = (digits) => String(digits || "").replace(/\D/g, "");
+
+/** Branch for a key pressed at the city menu, or null. */
+export function keypadBranch(digits) {
+  const keys   = keypadNumber(digits);
+  const center = keys ? KEYPAD_CENTERS[Number(keys) - 1] : null;
+  return center ? branchOf(center) : null;
+}
+
+export function keypadToSpeech(digits, state) {
+  const keys = keypadNumber(digits);
+  if (!keys) return null;
+  const n = Number(keys);
+
+  if (state === "awaiting_date") {
+    if (keys.length === 1) return KEYPAD_WEEKDAYS[n - 1] || null;
+    return n >= 1 && n <= 31 ? `${n} tarikh` : null;
+  }
+  if (state === "awaiting_branch") return keypadBranch(keys)?.city.toLowerCase() || null;
+  return KEYPAD_CHOICES[state]?.[n - 1] || null;
+}
+
 /* =====================================================================
    HINDI NUMBER WORD MAP
    ===================================================================== */
@@ -400,6 +452,65 @@ export function extractPreferredDate(raw) {
    KEYWORD PATTERN TABLES — v2 Massively Expanded
    ===================================================================== */
 
+/* ── OPT OUT — "dobara call mat karna", do-not-call requests ──
+   "call mat karo" alone is usually "not now" (CALL_LATER / REJECT), so a
+   stop-calling phrase only opts out after a qualifier that makes it
+   permanent: "dobara", "kabhi", "aage se" … Removal requests ("list se
+   hatao") opt out on their own. */
+const OPT_OUT_QUALIFIERS = [
+  "dobara","dubara","dobaara","kabhi","aage se","aaj ke baad","iske baad","baar baar",
+  "दोबारा","दुबारा","कभी","आगे से","आज के बाद","बार बार",
+];
+
+const STOP_CALLING_PATTERNS = [
+  "call mat","phone mat","call na","phone na","call band","phone band",
+  "call karna band","phone karna band","call bhejna band",
+  "mat karjo","mat kariyo","na karjo","na kariyo","mat kar jo",
+  "कॉल मत","फोन मत","कॉल ना","फोन ना","कॉल बंद","फोन बंद",
+];
+
+const OPT_OUT_PATTERNS = [
+  // Hinglish
+  "mera number hata","number hata do","number delete karo","number delete kar do",
+  "list se hata","list se naam hata","list se number hata",
+  // English
+  "do not call again","do not call me again","dont call again","dont call me again",
+  "don t call again","don t call me again","never call","unsubscribe","remove my number",
+  "no more calls",
+  // Devanagari
+  "नंबर हटा दो","लिस्ट से हटा",
+];
+
+/* ── HUMAN HANDOFF — "kisi insaan se baat karao", agent / office requests ──
+   A person or desk followed directly by a request to be put through, so
+   "office se baat kar li hai" (already done) or "driver se baat karao"
+   (not us) stay out. */
+const HANDOFF_TARGETS = [
+  // Hinglish
+  "insaan","insan","aadmi","admi","manas","agent","senior","manager","officer","executive",
+  "office","branch","service centre","service center","mechanic","engineer","staff",
+  "customer care","customer support",
+  // Devanagari
+  "इंसान","आदमी","एजेंट","मैनेजर","ऑफिस","ब्रांच","कस्टमर केयर",
+];
+
+const HANDOFF_REQUESTS = [
+  // Hinglish
+  "se baat karao","se baat karwao","se baat karwa do","se baat kara do","se baat karavo",
+  "se baat karni hai","se baat karna hai","se connect karo","se connect kar do","se milao",
+  // Devanagari
+  "से बात कराओ","से बात करवाओ","से बात करवा दो","से बात करा दो","से बात करनी है",
+];
+
+const HUMAN_HANDOFF_PATTERNS = [
+  // Hinglish
+  "transfer karo","transfer kar do",
+  "robot se baat nahi","computer se baat nahi",
+  // English
+  "talk to a person","talk to someone","speak to a person","speak to someone",
+  "talk to a human","talk to human","real person",
+];
+
 /* ── REPEAT — "samjh nahi", "dobara bolo", noise/network issues ── */
 const REPEAT_PATTERNS = [
   // Hinglish — didn't hear
@@ -662,6 +773,18 @@ function buildIntentRegex(patterns) {
   return new RegExp(escaped.join("|"), "u");
 }
 
+const OPT_OUT_RE      = buildIntentRegex(OPT_OUT_PATTERNS);
+// qualifier, up to two more words, then the stop-calling phrase
+const QUALIFIED_STOP_RE = new RegExp(
+  `(?:^|\\s)(?:${buildIntentRegex(OPT_OUT_QUALIFIERS).source})(?:\\s+\\S+){0,2}?\\s+(?:${buildIntentRegex(STOP_CALLING_PATTERNS).source})`,
+  "u"
+);
+const HANDOFF_RE      = buildIntentRegex(HUMAN_HANDOFF_PATTERNS);
+// "kisi insaan se baat karao", "manager se connect karo" — target, then the request
+const HANDOFF_REQUEST_RE = new RegExp(
+  `(?:${buildIntentRegex(HANDOFF_TARGETS).source})\\s+(?:${buildIntentRegex(HANDOFF_REQUESTS).source})`,
+  "u"
+);
 const REPEAT_RE       = buildIntentRegex(REPEAT_PATTERNS);
 const CONFUSION_RE    = buildIntentRegex(CONFUSION_PATTERNS);
 const CONFIRM_RE      = buildIntentRegex(CONFIRM_PATTERNS);
@@ -675,6 +798,15 @@ const CALL_LATER_RE   = buildIntentRegex(CALL_LATER_PATTERNS);
 const RESCHEDULE_RE   = buildIntentRegex(RESCHEDULE_PATTERNS);
 const STANDALONE_NAHI = /(?:^|\s)(?:nahi|nahin|नहीं|ना|na\b)(?:\s|$)/u;
 
+function isOptOut(normText) {
+  return OPT_OUT_RE.test(normText) || QUALIFIED_STOP_RE.test(normText);
+}
+
+// "service ho gayi, branch se baat karao" reports the service, not a transfer request
+function isHandoffRequest(normText) {
+  return (HANDOFF_RE.test(normText) || HANDOFF_REQUEST_RE.test(normText)) && !ALREADY_DONE_RE.test(normText);
+}
+
 /* =====================================================================
    INTENT DETECTOR
    ===================================================================== */
@@ -682,6 +814,9 @@ function detectIntent(normText, rawText, cachedBranch = null) {
   if (!normText || normText.length === 0) return INTENT.UNCLEAR;
 
   // Order matters — more specific first
+  // Opt-out first: "dobara call mat karna" also contains REJECT / CALL_LATER words
+  if (isOptOut(normText))                                                  return INTENT.OPT_OUT;
+  if (isHandoffRequest(normText))                                          return INTENT.HUMAN_HANDOFF;
   if (REPEAT_RE.test(normText))                                            return INTENT.REPEAT;
   if (CONFUSION_RE.test(normText))                                         return INTENT.CONFUSION;
   if (ALREADY_DONE_RE.test(normText))                                      return INTENT.ALREADY_DONE;
@@ -702,6 +837,38 @@ function detectIntent(normText, rawText, cachedBranch = null) {
   return INTENT.UNKNOWN;
 }
 
+/* =====================================================================
+   EARLY INTENT — partial speech results while the caller is talking
+   Only answers that are complete on their own: a request to repeat, or a
+   bare "haan". Anything else (dates, branches, reasons) waits for the
+   final result.
+   ===================================================================== */
+const CLEAR_YES_RE = /^(?:haan|haa|han|haanji|haan ji|ji haan|yes|yes ji|bilkul|हाँ|हां|हाँ जी|हां जी|जी हाँ|जी हां)$/u;
+
+// Whole utterance only: "kya kaha" is a repeat request, "whatsapp pe bhej do"
+// or "network problem tha, kal kar denge" are not — those wait for the final result
+const EARLY_REPEAT_PATTERNS = [
+  "dobara boliye","dobara bolo","phir se boliye","phir se bolo","fir se bolo","fir boliye",
+  "ek baar aur","ek baar aur boliye","ek baar dobara","kya kaha","kya kaha aapne","kya bola",
+  "kya bola aapne","suna nahi","sunai nahi diya","awaaz nahi aayi","awaz nahi aayi",
+  "samjha nahi","samjhi nahi","samajh nahi aaya","kuch samajh nahi aaya","clear nahi tha",
+  "repeat","repeat karo","repeat karein","repeat please","please repeat","say again",
+  "say that again","come again","pardon",
+  "दोबारा बोलो","दोबारा बोलिए","फिर से बोलो","फिर से बोलिए","एक बार और","क्या कहा","समझ नही आया","समझ नहीं आया",
+];
+const EARLY_REPEAT_RE = new RegExp(
+  `^(?:(?:ji|haan ji|sorry)\\s+)?(?:${buildIntentRegex(EARLY_REPEAT_PATTERNS).source})(?:\\s+(?:ji|please|madam))?$`,
+  "u"
+);
+
+export function detectEarlyIntent(partialText) {
+  const normText = normalise(partialText);
+  if (!normText) return null;
+  if (EARLY_REPEAT_RE.test(normText)) return INTENT.REPEAT;
+  if (CLEAR_YES_RE.test(normText)) return INTENT.CONFIRM;
+  return null;
+}
+
 /* =====================================================================
    SMART REPEAT RESPONSE BUILDER — Improvement #1
    Replays the EXACT last question with varied intro
@@ -735,7 +902,7 @@ export function buildSmartRepeatResponse(session, name) {
    ===================================================================== */
 export function buildSmartConfusionResponse(session) {
   const name      = session.customerName || "ji";
-  const number    = session.machineNumber || "aapki machine";
+  const number    = session.machineNumber ? spellOut(session.machineNumber) : "aapki machine";
   const svcType   = session.serviceType   || "scheduled service";
   const state     = session.state         || "awaiting_initial_decision";
   const streak    = session.confusionStreak || 0;
@@ -866,6 +1033,9 @@ const R = {
 
   repeatFallback: (n) =>
     `Ji zaroor. Main Priya hoon, Rajesh Motors JCB Service se — aapki machine ki service booking ke liye call kar rahi thi.`,
+
+  optOutGoodbye: (n) =>
+    `Bilkul ${n} ji, pareshani ke liye maafi chahti hoon. Aapka number hamari call list se hata diya gaya hai — aage se aapko reminder call nahi aayegi. Jab bhi zaroorat ho, Rajesh Motors ko call kijiye. Dhanyavaad!`,
 };
 
 /* =====================================================================
@@ -873,7 +1043,8 @@ const R = {
    ===================================================================== */
 export function processUserInput(userText, sessionData) {
   const normText     = normalise(userText);
-  const cachedBranch = matchBranch(userText);
+  // A centre picked from the keypad menu is taken as is
+  const cachedBranch = sessionData.pickedBranch || matchBranch(userText);
   const intent       = detectIntent(normText, userText, cachedBranch);
   const state        = sessionData.state || "awaiting_initial_decision";
   const name         = sessionData.customerName || "ji";
@@ -888,6 +1059,12 @@ export function processUserInput(userText, sessionData) {
   /* ── Global guards ── */
   if (unknownStreak >= 3) return result(R.tooManyUnknown(name), "ended", true);
 
+  /* ── OPT OUT: polite goodbye in any state ── */
+  if (intent === INTENT.OPT_OUT) return result(R.optOutGoodbye(name), "ended", true);
+
+  /* ── HUMAN HANDOFF: the controller transfers the call and says its own line ── */
+  if (intent === INTENT.HUMAN_HANDOFF) return result(null, state, false);
+
   /* ── REPEAT: smart replay ── */
   if (intent === INTENT.REPEAT) {
     const replay = buildSmartRepeatResponse(sessionData, name);
@@ -1006,7 +1183,7 @@ export function processUserInput(userText, sessionData) {
     }
 
     case "awaiting_branch": {
-      const branch  = matchBranch(userText);
+      const branch  = cachedBranch;
       const date    = sessionData.preferredDate || null;
       const display = date ? resolveDate(date)?.display || date : "nirdharit tarikh";
       if (!date && intent !== INTENT.REJECT)
@@ -1029,4 +1206,4 @@ export function processUserInput(userText, sessionData) {
 }
 
 export { resolveDate };
-export default { processUserInput, extractPreferredDate, matchBranch, INTENT, SERVICE_CENTERS };
\ No newline at end of file
+export default { processUserInput, extractPreferredDate, matchBranch, keypadToSpeech, keypadBranch, INTENT, SERVICE_CENTERS };
\ No newline at end of file
@@ -0,0 +1,57 @@
+/* =====================================================================
+   csv.js — minimal RFC 4180 CSV reader
+
+   Handles quoted fields, escaped quotes ("") and CRLF line endings.
+   The first non-empty line is treated as the header row; returns one
+   plain object per data row keyed by the trimmed header names.
+   ===================================================================== */
+
+function splitRecords(text) {
+  const records = [];
+  let field  = "";
+  let record = [];
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"')                    { quoted = false; }
+      else                                    { field += ch; }
+      continue;
+    }
+
+    if (ch === '"')       { quoted = true; }
+    else if (ch === ",")  { record.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field  = "";
+    }
+    else { field += ch; }
+  }
+
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(r => r.some(f => f.trim() !== ""));
+}
+
+export function parseCsv(text) {
+  if (!text || typeof text !== "string") return [];
+
+  const [header, ...rows] = splitRecords(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return rows.map(cols =>
+    Object.fromEntries(keys.map((k, i) => [k, (cols[i] ?? "").trim()]))
+  );
+}
+
+export default { parseCsv };
@@ -338,4 +338,9 @@ export function formatForDB(rawToken) {
   return r ? r.display : rawToken;
 }
 
+/* =====================================================================
+   IST HELPERS — shared with the calling-window / scheduling utilities
+   ===================================================================== */
+export { IST_OFFSET_MS, nowIST, todayIST, addDays, formatISO, formatDisplay };
+
 export default { resolveDate, formatForDB };
\ No newline at end of file
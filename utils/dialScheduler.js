@@ -0,0 +1,219 @@
+/**
+ * dialScheduler.js
+ * ================================
+ * Places an outbound call later — calls submitted with `scheduledAt`,
+ * dial requests deferred to the next calling-window slot, policy
+ * redials of busy / no-answer / failed calls, and service-due reminders.
+ *
+ * Jobs live in MongoDB (models/DialJob.js), so they survive restarts.
+ * Every instance runs the same worker loop:
+ *   1. claim the oldest due job — scheduled → running in one atomic
+ *      findOneAndUpdate, so only one instance ever fires it
+ *   2. if the calling window has closed since the job was queued, put it
+ *      back as scheduled for the next allowed slot
+ *   3. skip it when the customer's contact caps are used up, or when the
+ *      same phone / machine was dialed or queued within the duplicate
+ *      window (redials of the same reminder are exempt from both)
+ *   4. otherwise dial it and record done / failed
+ *
+ * A job left "running" longer than CFG.STALE_LOCK_MS (instance crashed
+ * mid-dial) is failed, not retried — the call may already have gone out.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import DialJob from "../models/DialJob.js";
+import { placeOutboundCall } from "./outboundDialer.js";
+import { checkCallingWindow } from "./callingWindow.js";
+import { checkContactCaps } from "./contactCaps.js";
+import { findDuplicateCall } from "./duplicateGuard.js";
+
+/* =====================================================================
+   CONFIGURATION
+   ===================================================================== */
+const CFG = {
+  POLL_MS:       Number(process.env.DIAL_WORKER_POLL_SECONDS || 15) * 1000,
+  STALE_LOCK_MS: 5 * 60 * 1000,
+  BATCH_SIZE:    20,    // max jobs fired per tick
+};
+
+const WORKER_ID = `${process.pid}-${crypto.randomUUID().slice(0, 8)}`;
+
+/* =====================================================================
+   LOGGER
+   ===================================================================== */
+const log = {
+  info:  (tag, msg, meta = {}) => console.log  (`[dial-scheduler][${tag}] ${msg}`,  Object.keys(meta).length ? meta : ""),
+  warn:  (tag, msg, meta = {}) => console.warn (`[dial-scheduler][${tag}] WARN  ${msg}`, Object.keys(meta).length ? meta : ""),
+  error: (tag, msg, meta = {}) => console.error(`[dial-scheduler][${tag}] ERROR ${msg}`, Object.keys(meta).length ? meta : ""),
+};
+
+/* =====================================================================
+   QUEUE API
+   ===================================================================== */
+
+/**
+ * @param {Date}   at        when to dial
+ * @param {object} callData  same shape as placeOutboundCall()
+ * @param {'scheduled'|'deferred'|'redial'|'reminder'} [kind]
+ * @param {{ allowDuplicate?: boolean }} [options]
+ * @returns {Promise<{ id: string, scheduledFor: Date }>}
+ */
+export async function scheduleDial(at, callData, kind = "deferred", { allowDuplicate = false } = {}) {
+  const job = await DialJob.create({ kind, runAt: at, callData, allowDuplicate });
+  log.info("queue", `Job queued (${kind}) for ${at.toISOString()}`, { jobId: String(job._id), to: callData.to });
+  wake(at);
+  return { id: String(job._id), scheduledFor: at };
+}
+
+/** @returns {Promise<object|null>} job summary, or null for an unknown id */
+export async function getScheduledDial(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const job = await DialJob.findById(id);
+  return job ? job.toSummary() : null;
+}
+
+/** @returns {Promise<boolean>} true when a job that had not fired yet was cancelled */
+export async function cancelScheduledDial(id) {
+  if (!mongoose.isValidObjectId(id)) return false;
+  const job = await DialJob.findOneAndUpdate(
+    { _id: id, status: "scheduled" },
+    { $set: { status: "cancelled", finishedAt: new Date() } }
+  );
+  return !!job;
+}
+
+/** Jobs that have not fired yet, soonest first. */
+export async function listUpcomingDials({ kind, limit = 100 } = {}) {
+  const filter = { status: "scheduled" };
+  if (kind) filter.kind = kind;
+  const jobs = await DialJob.find(filter).sort({ runAt: 1 }).limit(limit);
+  return jobs.map(j => j.toSummary());
+}
+
+/* =====================================================================
+   WORKER LOOP
+   ===================================================================== */
+let timer   = null;
+let nextRun = null;
+let running = false;
+
+function arm(delayMs) {
+  clearTimeout(timer);
+  nextRun = Date.now() + Math.max(0, delayMs);
+  timer = setTimeout(() => {
+    timer = null;
+    tick().catch(err => log.error("tick", err.message)).finally(() => arm(CFG.POLL_MS));
+  }, Math.max(0, delayMs));
+}
+
+// A job due before the next poll fires on time instead of up to POLL_MS late
+function wake(at) {
+  if (!timer || running) return;
+  if (at.getTime() < nextRun) arm(at.getTime() - Date.now());
+}
+
+async function tick() {
+  running = true;
+  try {
+    await failStaleJobs();
+    for (let i = 0; i < CFG.BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+function claimNextJob() {
+  const now = new Date();
+  return DialJob.findOneAndUpdate(
+    { status: "scheduled", runAt: { $lte: now } },
+    { $set: { status: "running", lockedBy: WORKER_ID, lockedAt: now } },
+    { sort: { runAt: 1 }, returnDocument: "after" }
+  );
+}
+
+async function failStaleJobs() {
+  const { modifiedCount } = await DialJob.updateMany(
+    { status: "running", lockedAt: { $lt: new Date(Date.now() - CFG.STALE_LOCK_MS) } },
+    { $set: { status: "failed", error: "Worker stopped before the dial finished", finishedAt: new Date() } }
+  );
+  if (modifiedCount) log.warn("tick", `Failed ${modifiedCount} job(s) with a stale lock`);
+}
+
+async function runJob(job) {
+  const jobId  = String(job._id);
+  const window = checkCallingWindow();
+  if (!window.allowed && !window.nextSlot) {
+    job.status     = "failed";
+    job.error      = `Outside calling hours (${window.reason}) with no upcoming slot`;
+    job.finishedAt = new Date();
+    await job.save();
+    log.warn("run", job.error, { jobId });
+    return;
+  }
+  if (!window.allowed) {
+    job.status   = "scheduled";
+    job.runAt    = window.nextSlot;
+    job.lockedBy = null;
+    job.lockedAt = null;
+    await job.save();
+    log.info("run", `Outside calling hours (${window.reason}) — moved to ${window.nextSlot.toISOString()}`, { jobId });
+    return;
+  }
+
+  if (job.kind !== "redial") {
+    const capped = await checkContactCaps(job.callData.to, new Date(), { excludeJobId: job._id });
+    if (capped) {
+      job.status     = "skipped";
+      job.skipReason = capped.reason;
+      job.error      = capped.message;
+      job.finishedAt = new Date();
+      await job.save();
+      log.info("run", `Job ${job.kind} skipped — ${capped.message}`, { jobId });
+      return;
+    }
+  }
+
+  if (job.kind !== "redial" && !job.allowDuplicate) {
+    const duplicate = await findDuplicateCall({
+      customerPhone: job.callData.to,
+      machineNumber: job.callData.machineNumber,
+      excludeJobId:  job._id,
+    });
+    if (duplicate) {
+      job.status     = "skipped";
+      job.skipReason = duplicate.reason;
+      job.error      = `Duplicate of ${duplicate.callSid || `job ${duplicate.jobId}`}`;
+      job.finishedAt = new Date();
+      await job.save();
+      log.info("run", `Job ${job.kind} skipped — ${job.error}`, { jobId });
+      return;
+    }
+  }
+
+  try {
+    const call = await placeOutboundCall(job.callData.toObject());
+    job.status  = "done";
+    job.callSid = call.sid;
+    log.info("run", `Job ${job.kind} placed → ${call.sid}`, { jobId });
+  } catch (err) {
+    job.status = "failed";
+    job.error  = err.message;
+    log.error("run", `Job ${job.kind} failed: ${err.message}`, { jobId });
+  }
+  job.finishedAt = new Date();
+  await job.save();
+}
+
+/** Starts this instance's worker loop — call once after the DB connects. */
+export function startDialWorker() {
+  if (timer) return;
+  log.info("startup", `Worker ${WORKER_ID} polling every ${CFG.POLL_MS / 1000}s`);
+  arm(0);
+}
+
+export default { scheduleDial, getScheduledDial, cancelScheduledDial, listUpcomingDials, startDialWorker };
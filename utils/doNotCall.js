@@ -0,0 +1,31 @@
+/* =====================================================================
+   doNotCall.js — do-not-call registry lookups
+
+   isDoNotCall(phone)            → true when the E.164 number is listed
+   addDoNotCall({ phone, source, reason, callSid, customerSaid })
+                                 → upserts the entry; the first source wins,
+                                   so re-adding never rewrites history
+   removeDoNotCall(phone)        → true when an entry was deleted
+   ===================================================================== */
+
+import DoNotCall from "../models/DoNotCall.js";
+
+export async function isDoNotCall(phone) {
+  if (!phone) return false;
+  return !!(await DoNotCall.exists({ phone }));
+}
+
+export async function addDoNotCall({ phone, source, reason = null, callSid = null, customerSaid = null }) {
+  return DoNotCall.findOneAndUpdate(
+    { phone },
+    { $setOnInsert: { phone, source, reason, callSid, customerSaid } },
+    { upsert: true, returnDocument: "after" }
+  ).lean();
+}
+
+export async function removeDoNotCall(phone) {
+  const { deletedCount } = await DoNotCall.deleteOne({ phone });
+  return deletedCount > 0;
+}
+
+export default { isDoNotCall, addDoNotCall, removeDoNotCall };
@@ -0,0 +1,63 @@
+/* =====================================================================
+   duplicateGuard.js — stops the same customer / machine being dialed
+   twice within DUPLICATE_CALL_WINDOW_MINUTES (default 60)
+
+   findDuplicateCall({ customerPhone, machineNumber, at?, excludeJobId? }) →
+     null                                       safe to dial
+     { callSid, reason, at }                    existing call to return
+     { jobId, reason, at }                      queued dial job to return
+
+   `at` is when the new call will go out (default now). Checks, in order:
+     1. call contexts — calls placed but not yet finished (active)
+     2. ServiceBooking — finished calls, via the customerPhone/createdAt index
+     3. DialJob — scheduled / deferred / redial / reminder jobs not yet
+        finished, due within the window either side of `at`
+        (`excludeJobId` skips the job that is doing the checking)
+   ===================================================================== */
+
+import ServiceBooking from "../models/Servicebooking.js";
+import DialJob from "../models/DialJob.js";
+import callContextStore from "./callContextStore.js";
+
+const WINDOW_MS = Number(process.env.DUPLICATE_CALL_WINDOW_MINUTES || 60) * 60 * 1000;
+
+export async function findDuplicateCall({ customerPhone, machineNumber, at = new Date(), excludeJobId = null }) {
+  const since = new Date(at.getTime() - WINDOW_MS);
+
+  const active = await callContextStore.findRecent({ customerPhone, machineNumber }, since);
+  if (active) {
+    const reason = active.customerPhone === customerPhone ? "phone_recently_dialed" : "machine_recently_dialed";
+    return { callSid: active.callSid, reason, at: active.createdAt };
+  }
+
+  if (customerPhone) {
+    const recent = await ServiceBooking
+      .findOne({ customerPhone, createdAt: { $gte: since } })
+      .sort({ createdAt: -1 })
+      .select("callSid createdAt")
+      .lean();
+    if (recent) return { callSid: recent.callSid, reason: "phone_recent_outcome", at: recent.createdAt };
+  }
+
+  const match = [];
+  if (customerPhone) match.push({ "callData.to": customerPhone });
+  if (machineNumber) match.push({ "callData.machineNumber": machineNumber });
+  if (!match.length) return null;
+
+  const filter = {
+    status: { $in: ["scheduled", "running"] },
+    runAt:  { $gte: since, $lte: new Date(at.getTime() + WINDOW_MS) },
+    $or:    match,
+  };
+  if (excludeJobId) filter._id = { $ne: excludeJobId };
+
+  const queued = await DialJob.findOne(filter).sort({ runAt: 1 }).select("callData.to runAt").lean();
+  if (queued) {
+    const reason = queued.callData.to === customerPhone ? "phone_dial_queued" : "machine_dial_queued";
+    return { jobId: String(queued._id), reason, at: queued.runAt };
+  }
+
+  return null;
+}
+
+export default { findDuplicateCall };
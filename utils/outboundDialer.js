@@ -0,0 +1,112 @@
+/**
+ * outboundDialer.js
+ * ================================
+ * Places outbound JCB service reminder calls through the telephony adapter
+ * (utils/telephony — Twilio by default) and saves the per-call context
+ * (customer + machine data) in callContextStore, where POST /voice reads
+ * it back when the call connects.
+ *
+ * Used by:
+ *   • routes/outbound.js     — single call  (POST /outbound/call)
+ *                              and cancel   (DELETE /outbound/call/:sid)
+ *   • utils/campaignRunner.js — bulk campaign dialing
+ */
+
+import crypto from 'crypto';
+import telephony from './telephony/index.js';
+import callContextStore from './callContextStore.js';
+import { isDoNotCall } from './doNotCall.js';
+
+/**
+ * Dials `to` and stores the due data against the returned CallSid.
+ * `to` must already be E.164 (see utils/phone.js); it is kept as the
+ * customer's phone for the session and the saved booking.
+ * Throws on provider errors — callers decide how to surface them.
+ * Numbers on the do-not-call list are refused here, so campaign rows,
+ * deferred dials and redials are all covered.
+ *
+ * Redials pass the chain's `originalCallSid` and their `attemptNumber`;
+ * a first attempt is its own original.
+ *
+ * The context is stored before dialing under a key of our own, which rides
+ * on the webhook URLs (`?context=`) — POST /voice can arrive before
+ * placeCall returns the CallSid. Once the CallSid is known the context is
+ * moved under it; if that write fails the call still goes ahead on the key.
+ *
+ * @returns {Promise<{ sid: string }>}
+ */
+async function placeOutboundCall({
+  to,
+  customerName,
+  machineModel,
+  machineNumber,
+  serviceType,
+  dueDate,
+  attemptNumber = 1,
+  originalCallSid = null
+}) {
+  if (await isDoNotCall(to)) {
+    throw new Error(`${to} is on the do-not-call list`);
+  }
+
+  const context = {
+    customerName,
+    customerPhone: to,
+    machineModel,
+    machineNumber,
+    serviceType,
+    dueDate,
+    attemptNumber,
+    originalCallSid
+  };
+  const contextKey = `ctx_${crypto.randomUUID()}`;
+  await callContextStore.set(contextKey, context);
+
+  let call;
+  try {
+    call = await telephony.placeCall({
+      to,
+      answerUrl: `${process.env.PUBLIC_URL}/voice?context=${contextKey}`,
+      statusUrl: `${process.env.PUBLIC_URL}/voice/status?context=${contextKey}`,
+      detectVoicemail: true
+    });
+  } catch (err) {
+    await callContextStore.delete(contextKey).catch(() => {});
+    throw err;
+  }
+
+  // Store due data using CallSid — the call is ringing already, so a
+  // failure here must not fail the request
+  try {
+    await callContextStore.set(call.sid, { ...context, originalCallSid: originalCallSid || call.sid });
+    await callContextStore.delete(contextKey);
+  } catch (err) {
+    console.error(`Call context for ${call.sid} kept under ${contextKey}: ${err.message}`);
+  }
+
+  return call;
+}
+
+/**
+ * Stops a placed call. A call that has not been answered
+ * yet (queued / ringing) is cancelled; a live call is hung up. The usual
+ * status callback then closes the session.
+ *
+ * @returns {Promise<{ cancelled: boolean, action?: 'canceled'|'hung_up', status: string }>}
+ *          `cancelled: false` when the call had already finished
+ */
+async function cancelOutboundCall(callSid) {
+  const status = await telephony.getCallStatus(callSid);
+
+  if (['queued', 'ringing'].includes(status)) {
+    await telephony.cancelCall(callSid);
+    return { cancelled: true, action: 'canceled', status };
+  }
+  if (status === 'in-progress') {
+    await telephony.hangupCall(callSid);
+    return { cancelled: true, action: 'hung_up', status };
+  }
+  return { cancelled: false, status };
+}
+
+export { placeOutboundCall, cancelOutboundCall };
@@ -0,0 +1,337 @@
+/**
+ * outcomeWebhooks.js
+ * ================================
+ * Pushes every saved call outcome to the endpoints in config/webhooks.js,
+ * so downstream systems stop polling Mongo.
+ *
+ *   publishBookingOutcome(callSid)
+ *                            → queues one WebhookDelivery per subscribed
+ *                              endpoint, once the booking has its call
+ *                              duration (the hangup status callback), and
+ *                              marks the booking's webhooksQueuedAt
+ *
+ * A booking whose hangup callback never arrives is picked up by the
+ * worker's sweep once it is WEBHOOK_TIMING_WAIT_SECONDS old (default 60),
+ * and queued without a duration. Delivery ids are derived from the booking,
+ * endpoint and event, so queueing the same booking twice inserts nothing.
+ *
+ * Request sent:
+ *   POST <endpoint url>   Content-Type: application/json
+ *   X-Webhook-Id:         payload `id` — the same on every retry and replay,
+ *                         use it to dedupe
+ *   X-Webhook-Event:      e.g. booking.confirmed
+ *   X-Webhook-Signature:  t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+ *   body:                 { id, event, occurredAt, data: { …booking fields } }
+ *
+ * Receivers verify by recomputing the HMAC over "<t>.<raw body>" and
+ * rejecting old timestamps.
+ *
+ * The worker loop retries non-2xx / network errors with exponential
+ * backoff; after WEBHOOK_MAX_ATTEMPTS the delivery moves to the
+ * WebhookDeadLetter collection, from where it can be replayed.
+ * Delivery is at-least-once.
+ */
+
+import crypto from "crypto";
+import axios from "axios";
+import mongoose from "mongoose";
+import webhooks from "../config/webhooks.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import WebhookDeadLetter from "../models/WebhookDeadLetter.js";
+import ServiceBooking from "../models/Servicebooking.js";
+
+/* =====================================================================
+   CONFIGURATION
+   ===================================================================== */
+const CFG = {
+  POLL_MS:          Number(process.env.WEBHOOK_POLL_SECONDS || 5) * 1000,
+  REQUEST_TIMEOUT:  10 * 1000,
+  STALE_LOCK_MS:    2 * 60 * 1000,
+  MAX_BACKOFF_MS:   60 * 60 * 1000,
+  DELIVERED_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  BATCH_SIZE:       50,
+  TIMING_WAIT_MS:   Number(process.env.WEBHOOK_TIMING_WAIT_SECONDS || 60) * 1000,
+  SWEEP_WINDOW_MS:  24 * 60 * 60 * 1000,   // older unqueued bookings are left alone
+};
+
+const OUTCOME_EVENT = {
+  confirmed:    "booking.confirmed",
+  rejected:     "booking.rejected",
+  already_done: "booking.already_done",
+  no_response:  "call.no_response",
+  voicemail:    "call.voicemail",
+  opted_out:    "call.opted_out",
+  handed_off:   "call.handed_off",
+};
+
+/* =====================================================================
+   LOGGER
+   ===================================================================== */
+const log = {
+  info:  (tag, msg, meta = {}) => console.log  (`[webhook][${tag}] ${msg}`,  Object.keys(meta).length ? meta : ""),
+  warn:  (tag, msg, meta = {}) => console.warn (`[webhook][${tag}] WARN  ${msg}`, Object.keys(meta).length ? meta : ""),
+  error: (tag, msg, meta = {}) => console.error(`[webhook][${tag}] ERROR ${msg}`, Object.keys(meta).length ? meta : ""),
+};
+
+/* =====================================================================
+   PAYLOAD + SIGNATURE
+   ===================================================================== */
+function bookingData(booking) {
+  return {
+    callSid:         booking.callSid,
+    originalCallSid: booking.originalCallSid,
+    attemptNumber:   booking.attemptNumber,
+    outcome:         booking.outcome,
+    customerName:    booking.customerName,
+    customerPhone:   booking.customerPhone,
+    machineModel:    booking.machineModel,
+    machineNumber:   booking.machineNumber,
+    serviceType:     booking.serviceType,
+    dueDate:         booking.dueDateOriginal,
+    confirmedServiceDate:    booking.confirmedServiceDate,
+    confirmedServiceDateISO: booking.confirmedServiceDateISO,
+    branch: booking.assignedBranchCode ? {
+      code: booking.assignedBranchCode,
+      name: booking.assignedBranchName,
+      city: booking.assignedBranchCity,
+    } : null,
+    rejectionReason:     booking.rejectionReason,
+    alreadyDoneDetails:  booking.alreadyDoneDetails,
+    handoff:             booking.handoff ?? null,
+    callStatus:          booking.callStatus,
+    nextAttemptAt:       booking.nextAttemptAt,
+    totalTurns:          booking.totalTurns,
+    callDurationSeconds: booking.callDurationSeconds,
+    callStartedAt:       booking.callStartedAt,
+    callEndedAt:         booking.callEndedAt,
+  };
+}
+
+export function signBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+function backoffMs(attempts) {
+  return Math.min(webhooks.backoffSeconds * 1000 * 2 ** (attempts - 1), CFG.MAX_BACKOFF_MS);
+}
+
+/* =====================================================================
+   PUBLISH
+   ===================================================================== */
+// One id per booking + endpoint + event — a second publish of the same
+// booking hits the duplicate key instead of queueing the event twice
+function deliveryId(callSid, endpoint, event) {
+  const hex = crypto.createHash("sha1").update(`${callSid}|${endpoint}|${event}`).digest("hex");
+  return new mongoose.Types.ObjectId(hex.slice(0, 24));
+}
+
+export async function publishOutcome(booking) {
+  const event     = OUTCOME_EVENT[booking.outcome];
+  const endpoints = webhooks.endpoints.filter(e => e.events.includes("*") || e.events.includes(event));
+  if (!event || endpoints.length === 0) return [];
+
+  const occurredAt = booking.callEndedAt || new Date();
+  const deliveries = endpoints.map(endpoint => {
+    const _id  = deliveryId(booking.callSid, endpoint.name, event);
+    const body = JSON.stringify({ id: String(_id), event, occurredAt, data: bookingData(booking) });
+    return { _id, event, endpoint: endpoint.name, callSid: booking.callSid, body };
+  });
+
+  try {
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+  } catch (err) {
+    if (!(err.writeErrors || [err]).every(e => e.code === 11000)) throw err;
+  }
+  log.info("publish", `${event} → ${endpoints.map(e => e.name).join(", ")}`, { callSid: booking.callSid });
+  kick();
+  return deliveries.map(d => String(d._id));
+}
+
+/** Queues the outcome of the booking for `callSid` unless already queued. */
+export async function publishBookingOutcome(callSid) {
+  const booking = await ServiceBooking.findOne({ callSid, webhooksQueuedAt: { $type: "null" } });
+  if (!booking) return [];
+
+  const ids = await publishOutcome(booking);
+  await ServiceBooking.updateOne({ _id: booking._id }, { $set: { webhooksQueuedAt: new Date() } });
+  return ids;
+}
+
+// Bookings whose hangup callback never came — queued without a duration.
+// Only bookings that start out with webhooksQueuedAt: null match, so
+// bookings saved before the field existed are never published
+async function sweepUnqueuedOutcomes() {
+  const now      = Date.now();
+  const bookings = await ServiceBooking
+    .find({
+      webhooksQueuedAt: { $type: "null" },
+      createdAt: { $gte: new Date(now - CFG.SWEEP_WINDOW_MS), $lt: new Date(now - CFG.TIMING_WAIT_MS) },
+    })
+    .sort({ createdAt: 1 })
+    .limit(CFG.BATCH_SIZE)
+    .select("callSid")
+    .lean();
+
+  for (const { callSid } of bookings) await publishBookingOutcome(callSid);
+  if (bookings.length) log.warn("sweep", `Queued ${bookings.length} outcome(s) with no hangup callback`);
+}
+
+/* =====================================================================
+   DELIVERY
+   ===================================================================== */
+async function send(delivery) {
+  const endpoint = webhooks.endpoints.find(e => e.name === delivery.endpoint);
+  if (!endpoint) return { ok: false, final: true, error: `Endpoint "${delivery.endpoint}" is no longer configured` };
+
+  try {
+    const response = await axios.post(endpoint.url, delivery.body, {
+      headers: {
+        "Content-Type":        "application/json",
+        "X-Webhook-Id":        JSON.parse(delivery.body).id,
+        "X-Webhook-Event":     delivery.event,
+        "X-Webhook-Signature": signBody(endpoint.secret, delivery.body),
+      },
+      timeout:           CFG.REQUEST_TIMEOUT,
+      transformRequest:  [data => data],
+      validateStatus:    () => true,
+      maxRedirects:      0,
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return { ok, statusCode: response.status, error: ok ? null : `HTTP ${response.status}` };
+  } catch (err) {
+    return { ok: false, statusCode: null, error: err.message };
+  }
+}
+
+async function deadLetter(delivery, result) {
+  await WebhookDeadLetter.create({
+    deliveryId:     String(delivery._id),
+    event:          delivery.event,
+    endpoint:       delivery.endpoint,
+    callSid:        delivery.callSid,
+    body:           delivery.body,
+    attempts:       delivery.attempts,
+    lastStatusCode: result.statusCode ?? null,
+    lastError:      result.error,
+    failedAt:       new Date(),
+  });
+  await WebhookDelivery.deleteOne({ _id: delivery._id });
+  log.error("deliver", `Dead-lettered after ${delivery.attempts} attempt(s): ${result.error}`, {
+    deliveryId: String(delivery._id),
+    endpoint:   delivery.endpoint,
+  });
+}
+
+async function deliver(delivery) {
+  const result = await send(delivery);
+  delivery.attempts      += 1;
+  delivery.lastStatusCode = result.statusCode ?? null;
+  delivery.lastError      = result.error;
+  delivery.lockedAt       = null;
+
+  if (result.ok) {
+    delivery.status      = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.expiresAt   = new Date(Date.now() + CFG.DELIVERED_TTL_MS);
+    await delivery.save();
+    log.info("deliver", `${delivery.event} delivered to ${delivery.endpoint}`, { deliveryId: String(delivery._id) });
+    return;
+  }
+
+  if (result.final || delivery.attempts >= webhooks.maxAttempts) {
+    await deadLetter(delivery, result);
+    return;
+  }
+
+  delivery.status        = "pending";
+  delivery.nextAttemptAt = new Date(Date.now() + backoffMs(delivery.attempts));
+  await delivery.save();
+  log.warn("deliver", `Attempt ${delivery.attempts} failed (${result.error}) — retry at ${delivery.nextAttemptAt.toISOString()}`, {
+    deliveryId: String(delivery._id),
+    endpoint:   delivery.endpoint,
+  });
+}
+
+/* =====================================================================
+   WORKER LOOP
+   ===================================================================== */
+let timer   = null;
+let running = false;
+
+function arm(delayMs) {
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    timer = null;
+    tick().catch(err => log.error("tick", err.message)).finally(() => arm(CFG.POLL_MS));
+  }, delayMs);
+}
+
+function kick() {
+  if (timer && !running) arm(0);
+}
+
+async function tick() {
+  running = true;
+  try {
+    await sweepUnqueuedOutcomes();
+
+    // A worker that died mid-send leaves "sending" behind — retry it
+    await WebhookDelivery.updateMany(
+      { status: "sending", lockedAt: { $lt: new Date(Date.now() - CFG.STALE_LOCK_MS) } },
+      { $set: { status: "pending", lockedAt: null } }
+    );
+
+    for (let i = 0; i < CFG.BATCH_SIZE; i++) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: "sending", lockedAt: new Date() } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+      );
+      if (!delivery) break;
+      await deliver(delivery);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts this instance's delivery loop — call once after the DB connects.
+ * With no endpoints configured there is nothing to deliver, so no loop.
+ */
+export function startWebhookWorker() {
+  if (timer || !webhooks.endpoints.length) return;
+  log.info("startup", `Delivering to ${webhooks.endpoints.map(e => e.name).join(", ")}`);
+  arm(0);
+}
+
+/* =====================================================================
+   DEAD LETTERS
+   ===================================================================== */
+
+/** Queues a dead letter again. Returns the new delivery id, or null. */
+export async function replayDeadLetter(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const replayDeliveryId = new mongoose.Types.ObjectId();
+
+  const letter = await WebhookDeadLetter.findOneAndUpdate(
+    { _id: id, replayedAt: null },
+    { $set: { replayedAt: new Date(), replayDeliveryId: String(replayDeliveryId) } }
+  );
+  if (!letter) return null;
+
+  await WebhookDelivery.create({
+    _id:      replayDeliveryId,
+    event:    letter.event,
+    endpoint: letter.endpoint,
+    callSid:  letter.callSid,
+    body:     letter.body,
+    replayOf: String(letter._id),
+  });
+  log.info("replay", `Replaying ${letter.event} to ${letter.endpoint}`, { deadLetterId: String(letter._id) });
+  kick();
+  return String(replayDeliveryId);
+}
+
+export default { publishOutcome, publishBookingOutcome, signBody, startWebhookWorker, replayDeadLetter };
@@ -0,0 +1,51 @@
+/* =====================================================================
+   phone.js — Indian phone number normalisation to E.164
+
+   Accepts the shapes customers and ops sheets actually use:
+     "98290 12345"  "098290-12345"  "+91 98290 12345"  "91-9829012345"
+     "0091 9829012345"  "(0141) 2345678"
+   and returns "+919829012345".
+
+   normalizeIndianPhone(raw) → { e164: "+91XXXXXXXXXX" } | { error: "..." }
+   ===================================================================== */
+
+export function normalizeIndianPhone(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return { error: "Phone number is required" };
+  }
+
+  const input = String(raw).trim();
+  if (/[^\d\s\-+().]/.test(input)) {
+    return { error: `Phone number "${input}" contains invalid characters` };
+  }
+  if (input.indexOf("+") > 0 || (input.match(/\+/g) || []).length > 1) {
+    return { error: `Phone number "${input}" has a misplaced "+"` };
+  }
+
+  let digits = input.replace(/\D/g, "");
+
+  if (input.startsWith("+") || digits.startsWith("00")) {
+    // International form — must be India (+91)
+    if (digits.startsWith("00")) digits = digits.slice(2);
+    if (!digits.startsWith("91")) {
+      return { error: `Phone number "${input}" is not an Indian (+91) number` };
+    }
+    digits = digits.slice(2);
+  } else if (digits.length === 12 && digits.startsWith("91")) {
+    digits = digits.slice(2);
+  }
+
+  // Trunk prefix: 098290 12345 / 0141 2345678 / +91 0 98290 12345
+  if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1);
+
+  if (digits.length !== 10) {
+    return { error: `Phone number "${input}" must have 10 digits after the country code` };
+  }
+  if (digits.startsWith("0")) {
+    return { error: `Phone number "${input}" is not a valid Indian number` };
+  }
+
+  return { e164: `+91${digits}` };
+}
+
+export default { normalizeIndianPhone };
@@ -0,0 +1,171 @@
+/* =====================================================================
+   promptCache.js — pre-rendered audio for the fixed parts of V lines
+
+   Most voice lines only change in the name, number or date. The fixed
+   text around those values is synthesized once, offline, by
+     npm run build-prompts        (scripts/build-prompt-cache.js)
+   and served from /prompts. Replies then <Play> the cached phrases and
+   <Say> only what is left (names, machine numbers, dates).
+
+   Layout of PROMPT_CACHE_DIR (default ./prompt-cache):
+     manifest.json   { version, voice, language, builtAt, prompts: { text: file } }
+     audio/*.mp3     one file per phrase, named by a hash of voice + text
+
+   Versioning: `version` hashes the phrase list, voice and language, so
+   any change to V text makes the manifest stale and the build script
+   re-renders just the phrases that changed. Lookups match the exact
+   phrase text, so a stale cache never plays the wrong words — changed
+   lines simply fall back to <Say> until the next build.
+
+   extractStaticPhrases(lines)        fixed phrases from the V catalogue
+   catalogueVersion(catalogue)        version string for a catalogue
+   segmentReply(text, { voice, language })
+     → null                            nothing cached — say it all
+     → [ { type: "play", text, url } | { type: "say", text } ]
+   checkPromptCache(catalogue)        startup report: fresh / stale / missing
+   ===================================================================== */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const PROMPT_CACHE_DIR = path.resolve(process.env.PROMPT_CACHE_DIR || "prompt-cache");
+export const PROMPT_AUDIO_DIR = path.join(PROMPT_CACHE_DIR, "audio");
+export const PROMPT_ROUTE     = "/prompts";
+
+const MANIFEST_PATH = path.join(PROMPT_CACHE_DIR, "manifest.json");
+const FORMAT        = 1;    // bump when the file naming or audio settings change
+const MIN_CHARS     = 24;   // shorter fixed text is not worth a separate fetch
+
+const log = {
+  info:  (tag, msg, meta = {}) => console.log  (`[prompt-cache][${tag}] ${msg}`,  Object.keys(meta).length ? meta : ""),
+  warn:  (tag, msg, meta = {}) => console.warn (`[prompt-cache][${tag}] WARN  ${msg}`, Object.keys(meta).length ? meta : ""),
+};
+
+const sha1 = (value) => crypto.createHash("sha1").update(value).digest("hex");
+
+/* ── Catalogue ──────────────────────────────────────────────────── */
+// V lines are called with placeholder arguments; the text between the
+// placeholders (and spellOut markup) is what every call has in common.
+const PLACEHOLDER    = (i) => `\u0000${i}\u0000`;
+const PLACEHOLDER_RE = /\{\{spell:[^}]*\}\}|\u0000\d+\u0000/;
+const GAP_RE         = /^[\s.,!?—-]*$/;
+
+function collectLines(node, out) {
+  if (typeof node === "function") out.push(node);
+  else if (Array.isArray(node)) node.forEach(n => collectLines(n, out));
+  else if (node && typeof node === "object") Object.values(node).forEach(n => collectLines(n, out));
+  return out;
+}
+
+export function extractStaticPhrases(lines) {
+  const phrases = new Set();
+  for (const line of collectLines(lines, [])) {
+    const text = line(...Array.from({ length: line.length }, (_, i) => PLACEHOLDER(i)));
+    for (const fragment of String(text).split(PLACEHOLDER_RE)) {
+      const phrase = fragment.trim();
+      if (phrase.length >= MIN_CHARS) phrases.add(phrase);
+    }
+  }
+  return [...phrases].sort();
+}
+
+export function catalogueVersion({ voice, language, phrases }) {
+  return sha1(JSON.stringify({ FORMAT, voice, language, phrases })).slice(0, 12);
+}
+
+export function audioFileName({ voice, language }, text) {
+  return `${sha1(`${FORMAT}|${voice}|${language}|${text}`).slice(0, 16)}.mp3`;
+}
+
+/* ── Manifest ───────────────────────────────────────────────────── */
+let manifest = undefined;   // undefined → not read yet, null → none on disk
+let matcher  = null;
+
+export function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn("manifest", `Could not read ${MANIFEST_PATH}: ${err.message}`);
+    return null;
+  }
+}
+
+export function writeManifest(next) {
+  const tmp = `${MANIFEST_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(next, null, 2));
+  fs.renameSync(tmp, MANIFEST_PATH);
+  manifest = undefined;
+}
+
+function loadManifest() {
+  if (manifest !== undefined) return manifest;
+  manifest = readManifest();
+  matcher  = null;
+
+  if (manifest?.prompts) {
+    // Only phrases whose audio is actually on disk; longest first so a
+    // phrase wins over any shorter phrase it contains
+    const phrases = Object.keys(manifest.prompts)
+      .filter(text => fs.existsSync(path.join(PROMPT_AUDIO_DIR, manifest.prompts[text])))
+      .sort((a, b) => b.length - a.length);
+    if (phrases.length) {
+      matcher = new RegExp(phrases.map(p => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "g");
+    }
+  }
+  return manifest;
+}
+
+/* ── Lookup ─────────────────────────────────────────────────────── */
+export function segmentReply(text, { voice, language }) {
+  const cache = loadManifest();
+  if (!matcher || !process.env.PUBLIC_URL) return null;
+  if (cache.voice !== voice || cache.language !== language) return null;
+
+  const input    = String(text ?? "");
+  const segments = [];
+  const sayGap   = (gap) => { if (!GAP_RE.test(gap)) segments.push({ type: "say", text: gap.trim() }); };
+  let last = 0;
+
+  for (const m of input.matchAll(matcher)) {
+    sayGap(input.slice(last, m.index));
+    segments.push({
+      type: "play",
+      text: m[0],
+      url:  `${process.env.PUBLIC_URL}${PROMPT_ROUTE}/${cache.prompts[m[0]]}`,
+    });
+    last = m.index + m[0].length;
+  }
+  sayGap(input.slice(last));
+
+  return segments.some(s => s.type === "play") ? segments : null;
+}
+
+export function checkPromptCache(catalogue) {
+  const cache = loadManifest();
+  if (!cache) {
+    log.info("startup", `No prompt cache at ${PROMPT_CACHE_DIR} — every line uses <Say> (npm run build-prompts)`);
+    return "missing";
+  }
+  if (cache.version !== catalogueVersion(catalogue)) {
+    log.warn("startup", "Prompt cache is stale — changed lines fall back to <Say> until `npm run build-prompts`", {
+      cached: cache.version, current: catalogueVersion(catalogue),
+    });
+    return "stale";
+  }
+  log.info("startup", `Prompt cache ${cache.version} loaded — ${Object.keys(cache.prompts).length} phrases`);
+  return "fresh";
+}
+
+export default {
+  PROMPT_CACHE_DIR,
+  PROMPT_AUDIO_DIR,
+  PROMPT_ROUTE,
+  extractStaticPhrases,
+  catalogueVersion,
+  audioFileName,
+  readManifest,
+  writeManifest,
+  segmentReply,
+  checkPromptCache,
+};
@@ -0,0 +1,30 @@
+/* =====================================================================
+   redialPlanner.js — decides whether and when an unanswered call is
+   dialed again (see config/redialPolicy.js)
+
+   planRedial({ callStatus, attemptNumber, from? }) →
+     null                                   no further attempt
+     { attemptNumber, at: Date }            next attempt, already moved
+                                            into the IST calling window
+   ===================================================================== */
+
+import redialPolicy from "../config/redialPolicy.js";
+import { checkCallingWindow } from "./callingWindow.js";
+
+export function planRedial({ callStatus, attemptNumber = 1, from = new Date() }) {
+  const rule = redialPolicy[callStatus];
+  if (!rule || attemptNumber >= rule.maxAttempts) return null;
+
+  const backoff = rule.backoffMinutes[Math.min(attemptNumber - 1, rule.backoffMinutes.length - 1)];
+  let at = new Date(from.getTime() + backoff * 60 * 1000);
+
+  const window = checkCallingWindow(at);
+  if (!window.allowed) {
+    if (!window.nextSlot) return null;
+    at = window.nextSlot;
+  }
+
+  return { attemptNumber: attemptNumber + 1, at };
+}
+
+export default { planRedial };
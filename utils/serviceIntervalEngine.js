@@ -0,0 +1,193 @@
+/**
+ * serviceIntervalEngine.js
+ * ================================
+ * Predicts each registered machine's next service and queues the reminder
+ * call, so ops no longer work out "500 Hour service due" by hand.
+ *
+ * predictNextService(machine, at?) →
+ *   { estimatedHMR, dueHMR, serviceType: "500 Hour", dueDate: "YYYY-MM-DD",
+ *     daysUntilDue }
+ *
+ * The daily run (runServiceReminders) queues a "reminder" dial job for
+ * every active machine due within SERVICE_REMINDER_DAYS_BEFORE days
+ * (default 3), timed SERVICE_REMINDER_DAYS_BEFORE days before the due date
+ * at SERVICE_REMINDER_CALL_TIME (IST, default 11:00) and moved into the
+ * calling window. The job carries the same serviceType / dueDate fields
+ * POST /outbound/call takes, so the voice flow speaks them unchanged.
+ *
+ * Each machine is claimed with a conditional update on reminderDueHMR, so
+ * overlapping runs (restart, several instances) queue a milestone once.
+ */
+
+import Machine from "../models/Machine.js";
+import { scheduleForModel } from "../config/serviceIntervals.js";
+import { scheduleDial } from "./dialScheduler.js";
+import { checkCallingWindow } from "./callingWindow.js";
+import { IST_OFFSET_MS, addDays, formatISO } from "./dateResolver.js";
+
+/* =====================================================================
+   CONFIGURATION
+   ===================================================================== */
+const CFG = {
+  DAYS_BEFORE:  Number(process.env.SERVICE_REMINDER_DAYS_BEFORE || 3),
+  CALL_TIME:    process.env.SERVICE_REMINDER_CALL_TIME || "11:00",   // IST
+  RUN_AT:       process.env.SERVICE_REMINDER_RUN_AT    || "09:00",   // IST, daily job
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* =====================================================================
+   LOGGER
+   ===================================================================== */
+const log = {
+  info:  (tag, msg, meta = {}) => console.log  (`[service-engine][${tag}] ${msg}`,  Object.keys(meta).length ? meta : ""),
+  warn:  (tag, msg, meta = {}) => console.warn (`[service-engine][${tag}] WARN  ${msg}`, Object.keys(meta).length ? meta : ""),
+  error: (tag, msg, meta = {}) => console.error(`[service-engine][${tag}] ERROR ${msg}`, Object.keys(meta).length ? meta : ""),
+};
+
+function minutesOf(hhmm) {
+  const m = String(hhmm).match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`Invalid time "${hhmm}" — expected HH:MM`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/** IST calendar day of `at`, as a UTC-midnight date (like todayIST()). */
+function istDayOf(at) {
+  const ist = new Date(at.getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()));
+}
+
+/** `istDate` (IST midnight as a UTC date) + `minutes`, as a real instant. */
+function istInstant(istDate, minutes) {
+  return new Date(istDate.getTime() + minutes * 60 * 1000 - IST_OFFSET_MS);
+}
+
+/* =====================================================================
+   PREDICTION
+   ===================================================================== */
+
+/** First service milestone above `hmr` and its name. */
+export function nextMilestone(hmr, schedule) {
+  const { firstServiceHours, intervals } = schedule;
+  if (hmr < firstServiceHours) {
+    return { dueHMR: firstServiceHours, serviceType: `${firstServiceHours} Hour` };
+  }
+
+  const step   = intervals[0];
+  const dueHMR = (Math.floor(hmr / step) + 1) * step;
+  const named  = [...intervals].reverse().find(h => dueHMR % h === 0) || step;
+  return { dueHMR, serviceType: `${named} Hour` };
+}
+
+export function predictNextService(machine, at = new Date()) {
+  const since        = machine.lastServiceDate || machine.commissioningDate;
+  const daysElapsed  = Math.max(0, (at.getTime() - new Date(since).getTime()) / DAY_MS);
+  const estimatedHMR = Math.round((machine.lastServiceHMR || 0) + machine.averageDailyHours * daysElapsed);
+
+  // The next milestone after the last *service*, not after today's estimate —
+  // an overdue machine stays due until a service is recorded. A service done
+  // a little early counts as the milestone it was for (earlyServiceHours).
+  const schedule = scheduleForModel(machine.model);
+  const { dueHMR, serviceType } = nextMilestone((machine.lastServiceHMR || 0) + schedule.earlyServiceHours, schedule);
+
+  const daysUntilDue = Math.ceil((dueHMR - estimatedHMR) / machine.averageDailyHours);
+  const dueDate      = addDays(istDayOf(at), daysUntilDue);
+
+  return { estimatedHMR, dueHMR, serviceType, dueDate: formatISO(dueDate), daysUntilDue };
+}
+
+/* =====================================================================
+   DAILY REMINDER RUN
+   ===================================================================== */
+function reminderCallTime(daysUntilDue, now) {
+  const callDay = addDays(istDayOf(now), Math.max(0, daysUntilDue - CFG.DAYS_BEFORE));
+  let at = istInstant(callDay, minutesOf(CFG.CALL_TIME));
+  if (at < now) at = now;
+
+  const window = checkCallingWindow(at);
+  return window.allowed ? at : window.nextSlot;
+}
+
+export async function runServiceReminders(now = new Date()) {
+  const stats    = { checked: 0, queued: 0, notDue: 0, alreadyQueued: 0, failed: 0 };
+  const machines = await Machine.find({ active: true }).lean();
+
+  for (const machine of machines) {
+    stats.checked++;
+    const prediction = predictNextService(machine, now);
+    if (prediction.daysUntilDue > CFG.DAYS_BEFORE) { stats.notDue++; continue; }
+    if (machine.reminderDueHMR === prediction.dueHMR) { stats.alreadyQueued++; continue; }
+
+    const callAt = reminderCallTime(prediction.daysUntilDue, now);
+    if (!callAt) {
+      log.warn("run", "No calling slot for reminder", { machineNumber: machine.machineNumber });
+      stats.failed++;
+      continue;
+    }
+
+    const { modifiedCount } = await Machine.updateOne(
+      { _id: machine._id, reminderDueHMR: { $ne: prediction.dueHMR } },
+      { $set: { reminderDueHMR: prediction.dueHMR, remindedAt: now } }
+    );
+    if (!modifiedCount) { stats.alreadyQueued++; continue; }
+
+    try {
+      const job = await scheduleDial(callAt, {
+        to:            machine.phone,
+        customerName:  machine.ownerName,
+        machineModel:  machine.model,
+        machineNumber: machine.machineNumber,
+        serviceType:   prediction.serviceType,
+        dueDate:       prediction.dueDate,
+      }, "reminder");
+      await Machine.updateOne({ _id: machine._id }, { $set: { reminderJobId: job.id } });
+      stats.queued++;
+      log.info("run", `${prediction.serviceType} due ${prediction.dueDate} — reminder at ${callAt.toISOString()}`, {
+        machineNumber: machine.machineNumber,
+        jobId:         job.id,
+      });
+    } catch (err) {
+      // Release the claim so tomorrow's run tries again
+      await Machine.updateOne(
+        { _id: machine._id, reminderDueHMR: prediction.dueHMR },
+        { $set: { reminderDueHMR: machine.reminderDueHMR ?? null } }
+      );
+      stats.failed++;
+      log.error("run", `Could not queue reminder: ${err.message}`, { machineNumber: machine.machineNumber });
+    }
+  }
+
+  log.info("run", `Checked ${stats.checked} | queued ${stats.queued} | already queued ${stats.alreadyQueued} | failed ${stats.failed}`);
+  return stats;
+}
+
+/* =====================================================================
+   DAILY TIMER
+   ===================================================================== */
+let timer = null;
+
+function msUntilNextRun(now = new Date()) {
+  let at = istInstant(istDayOf(now), minutesOf(CFG.RUN_AT));
+  if (at <= now) at = new Date(at.getTime() + DAY_MS);
+  return at.getTime() - now.getTime();
+}
+
+function armDaily() {
+  timer = setTimeout(() => {
+    runServiceReminders()
+      .catch(err => log.error("run", err.message))
+      .finally(armDaily);
+  }, msUntilNextRun());
+}
+
+/**
+ * Runs once now (catches up after downtime) and then daily at
+ * SERVICE_REMINDER_RUN_AT IST — call once after the DB connects.
+ */
+export function startServiceReminderJob() {
+  if (timer) return;
+  runServiceReminders().catch(err => log.error("run", err.message));
+  armDaily();
+}
+
+export default { nextMilestone, predictNextService, runServiceReminders, startServiceReminderJob };
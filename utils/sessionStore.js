@@ -0,0 +1,237 @@
+/**
+ * sessionStore.js
+ * ================================
+ * Pluggable store for live conversation sessions, keyed by CallSid.
+ *
+ * Backends (SESSION_STORE env):
+ *   • "mongo"  (default) — CallSession collection with a TTL index;
+ *                          survives restarts and is shared by all instances
+ *   • "memory"           — process-local Map; single instance / local dev only
+ *
+ * Every backend exposes the same async API:
+ *   create(callSid, session)  store a new session (replaces any old one)
+ *   get(callSid)              copy of the session or null
+ *   update(callSid, mutate)   atomic read-modify-write: `mutate(session)`
+ *                             edits a fresh copy in place and the write only
+ *                             lands if nothing else wrote in between —
+ *                             otherwise it re-reads and runs `mutate` again.
+ *                             `mutate` must be synchronous and free of side
+ *                             effects. → updated session | null if absent
+ *   delete(callSid)
+ *   findStale(startedBefore)  CallSids of sessions started before that time
+ *                             that were never ended (endedAt unset)
+ *   withLock(callSid, fn)     runs `fn` while holding that call's lock, so
+ *                             webhooks for one call are handled strictly
+ *                             one after another, in arrival order.
+ *                             → fn's result. Memory: per-CallSid queue.
+ *                             Mongo: the same queue plus a lease on the
+ *                             session document (lockToken / lockedUntil),
+ *                             waiting up to SESSION_LOCK_WAIT_MS (default
+ *                             10000) for another instance to let go.
+ *
+ * Sessions expire SESSION_STORE_TTL_HOURS (default 2) after their last
+ * write, so a crashed process never leaves them behind for good.
+ */
+
+import crypto from "crypto";
+import CallSession from "../models/CallSession.js";
+
+const TTL_MS = Number(process.env.SESSION_STORE_TTL_HOURS || 2) * 60 * 60 * 1000;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const LOCK_WAIT_MS  = Number(process.env.SESSION_LOCK_WAIT_MS || 10000);
+const LOCK_LEASE_MS = 30 * 1000;   // outlives any turn; frees a crashed holder
+const LOCK_POLL_MS  = 100;
+
+function expiresAt() {
+  return new Date(Date.now() + TTL_MS);
+}
+
+function conflictError(callSid) {
+  return new Error(`Session ${callSid} kept changing — gave up after ${MAX_UPDATE_ATTEMPTS} attempts`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** In-process FIFO per CallSid — each `fn` starts after the previous one settles. */
+function createCallQueue() {
+  const tails = new Map();
+
+  return function run(callSid, fn) {
+    const previous = tails.get(callSid) || Promise.resolve();
+    const result   = previous.then(() => fn());
+    const tail     = result.catch(() => {});
+    tails.set(callSid, tail);
+    tail.then(() => { if (tails.get(callSid) === tail) tails.delete(callSid); });
+    return result;
+  };
+}
+
+/* =====================================================================
+   MONGO BACKEND
+   ===================================================================== */
+function createMongoStore() {
+  const queue = createCallQueue();
+
+  // true once held, false when there is no session to guard yet
+  async function acquireLease(callSid, token) {
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    for (;;) {
+      const now  = new Date();
+      const held = await CallSession.findOneAndUpdate(
+        { callSid, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $set: { lockToken: token, lockedUntil: new Date(now.getTime() + LOCK_LEASE_MS) } },
+        { projection: { _id: 1 } }
+      ).lean();
+      if (held) return true;
+      if (!(await CallSession.exists({ callSid }))) return false;
+      if (Date.now() >= deadline) throw new Error(`Session ${callSid} still locked after ${LOCK_WAIT_MS}ms`);
+      await sleep(LOCK_POLL_MS);
+    }
+  }
+
+  return {
+    async create(callSid, session) {
+      await CallSession.updateOne(
+        { callSid },
+        {
+          $set: {
+            data:          session,
+            rev:           0,
+            callStartedAt: session.callStartedAt,
+            endedAt:       session.endedAt || null,
+            expiresAt:     expiresAt(),
+          },
+        },
+        { upsert: true }
+      );
+    },
+
+    async get(callSid) {
+      const doc = await CallSession.findOne({ callSid, expiresAt: { $gt: new Date() } }).lean();
+      return doc ? doc.data : null;
+    },
+
+    async update(callSid, mutate) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const doc = await CallSession.findOne({ callSid, expiresAt: { $gt: new Date() } }).lean();
+        if (!doc) return null;
+
+        const session = doc.data;
+        mutate(session);
+
+        const { matchedCount } = await CallSession.updateOne(
+          { callSid, rev: doc.rev },
+          {
+            $set: { data: session, endedAt: session.endedAt || null, expiresAt: expiresAt() },
+            $inc: { rev: 1 },
+          }
+        );
+        if (matchedCount) return session;
+      }
+      throw conflictError(callSid);
+    },
+
+    async delete(callSid) {
+      await CallSession.deleteOne({ callSid });
+    },
+
+    async findStale(startedBefore) {
+      const docs = await CallSession
+        .find({ endedAt: null, callStartedAt: { $lt: startedBefore }, expiresAt: { $gt: new Date() } })
+        .select("callSid")
+        .lean();
+      return docs.map(d => d.callSid);
+    },
+
+    withLock(callSid, fn) {
+      return queue(callSid, async () => {
+        const token = crypto.randomUUID();
+        const held  = await acquireLease(callSid, token);
+        try {
+          return await fn();
+        } finally {
+          if (held) {
+            await CallSession
+              .updateOne({ callSid, lockToken: token }, { $set: { lockToken: null, lockedUntil: null } })
+              .catch(() => {});
+          }
+        }
+      });
+    },
+  };
+}
+
+/* =====================================================================
+   MEMORY BACKEND — copies in and out, so callers never share objects
+   ===================================================================== */
+function createMemoryStore() {
+  const entries = new Map();
+  const queue   = createCallQueue();
+
+  function live(callSid) {
+    const entry = entries.get(callSid);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(callSid);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    async create(callSid, session) {
+      entries.set(callSid, { data: structuredClone(session), expiresAt: Date.now() + TTL_MS });
+    },
+
+    async get(callSid) {
+      const entry = live(callSid);
+      return entry ? structuredClone(entry.data) : null;
+    },
+
+    async update(callSid, mutate) {
+      const entry = live(callSid);
+      if (!entry) return null;
+
+      // No await between read and write — atomic within this process
+      const session = structuredClone(entry.data);
+      mutate(session);
+      entry.data      = structuredClone(session);
+      entry.expiresAt = Date.now() + TTL_MS;
+      return session;
+    },
+
+    async delete(callSid) {
+      entries.delete(callSid);
+    },
+
+    async findStale(startedBefore) {
+      const stale = [];
+      for (const callSid of entries.keys()) {
+        const entry = live(callSid);
+        if (entry && !entry.data.endedAt && entry.data.callStartedAt < startedBefore) stale.push(callSid);
+      }
+      return stale;
+    },
+
+    withLock(callSid, fn) {
+      return queue(callSid, fn);
+    },
+  };
+}
+
+/* =====================================================================
+   BACKEND SELECTION
+   ===================================================================== */
+const BACKENDS = {
+  mongo:  createMongoStore,
+  memory: createMemoryStore,
+};
+
+const backendName = (process.env.SESSION_STORE || "mongo").toLowerCase();
+if (!BACKENDS[backendName]) {
+  throw new Error(`Unknown SESSION_STORE "${backendName}" — use ${Object.keys(BACKENDS).join(" | ")}`);
+}
+
+const sessionStore = BACKENDS[backendName]();
+
+export default sessionStore;
@@ -0,0 +1,106 @@
+/* =====================================================================
+   ssml.js — turns reply strings into spoken parts for SSML voices
+
+   Replies from V (voiceController) and R (conversational_intelligence)
+   stay plain strings with one piece of markup:
+     spellOut("JCB-3DX-1042") → "{{spell:JCB-3DX-1042}}"
+       read character by character, group by group
+   and one pattern found on its own:
+     "21 October 2026"  (dateResolver.formatDisplay) → read as a date
+
+   parseReply(text) → [
+     { type: "text",  text }
+     { type: "spell", text }                  one group, e.g. "3DX"
+     { type: "date",  text, value: "21-10-2026" }
+     { type: "break", ms }                    after sentences / dashes
+   ]
+   toPlainText(text)          the reply without markup — logs, plain voices
+   toSsml(text, { slow })     the same parts as an SSML string
+   supportsSsml(voice)        Polly.* and Google.* voices do
+   ===================================================================== */
+
+export const SLOW_RATE = "85%";   // after the caller asked for a repeat
+
+const SENTENCE_BREAK_MS = 350;
+const DASH_BREAK_MS     = 200;
+const GROUP_BREAK_MS    = 150;
+
+const MONTHS = [
+  "January","February","March","April","May","June",
+  "July","August","September","October","November","December",
+];
+
+const SPELL_RE  = /\{\{spell:([^}]*)\}\}/g;
+const TOKEN_RE  = new RegExp(`\\{\\{spell:([^}]*)\\}\\}|\\b(\\d{1,2}) (${MONTHS.join("|")}) (\\d{4})\\b`, "g");
+const CLAUSE_RE = /([.?!])\s+|\s+—\s+/g;
+
+export function spellOut(value) {
+  return value ? `{{spell:${value}}}` : "";
+}
+
+export function supportsSsml(voice) {
+  return /^(Polly|Google)\./.test(voice || "");
+}
+
+export function toPlainText(text) {
+  return String(text ?? "").replace(SPELL_RE, "$1");
+}
+
+/* ── Parsing ────────────────────────────────────────────────────── */
+function textParts(text) {
+  const parts = [];
+  let last = 0;
+  for (const m of text.matchAll(CLAUSE_RE)) {
+    const end = m.index + (m[1] ? 1 : 0);
+    if (end > last) parts.push({ type: "text", text: text.slice(last, end) });
+    parts.push({ type: "break", ms: m[1] ? SENTENCE_BREAK_MS : DASH_BREAK_MS });
+    parts.push({ type: "text", text: " " });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) parts.push({ type: "text", text: text.slice(last) });
+  return parts;
+}
+
+function spellParts(value) {
+  const groups = value.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return groups.flatMap((group, i) => [
+    ...(i ? [{ type: "break", ms: GROUP_BREAK_MS }] : []),
+    { type: "spell", text: group },
+  ]);
+}
+
+export function parseReply(text) {
+  const input = String(text ?? "");
+  const parts = [];
+  let last = 0;
+
+  for (const m of input.matchAll(TOKEN_RE)) {
+    if (m.index > last) parts.push(...textParts(input.slice(last, m.index)));
+    if (m[1] !== undefined) {
+      parts.push(...spellParts(m[1]));
+    } else {
+      const day   = m[2].padStart(2, "0");
+      const month = String(MONTHS.indexOf(m[3]) + 1).padStart(2, "0");
+      parts.push({ type: "date", text: m[0], value: `${day}-${month}-${m[4]}` });
+    }
+    last = m.index + m[0].length;
+  }
+  if (last < input.length) parts.push(...textParts(input.slice(last)));
+
+  return parts.filter(p => p.type !== "text" || p.text.length);
+}
+
+/* ── SSML string (simulator / debugging; Twilio builds nodes itself) ── */
+const escapeXml = (s) => s.replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+export function toSsml(text, { slow = false } = {}) {
+  const body = parseReply(text).map(part => {
+    if (part.type === "break") return `<break time="${part.ms}ms"/>`;
+    if (part.type === "spell") return `<say-as interpret-as="characters">${escapeXml(part.text)}</say-as>`;
+    if (part.type === "date")  return `<say-as interpret-as="date" format="dmy">${part.value}</say-as>`;
+    return escapeXml(part.text);
+  }).join("");
+  return slow ? `<prosody rate="${SLOW_RATE}">${body}</prosody>` : body;
+}
+
+export default { spellOut, supportsSsml, toPlainText, parseReply, toSsml, SLOW_RATE };
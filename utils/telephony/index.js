@@ -0,0 +1,78 @@
+/**
+ * telephony/index.js
+ * ================================
+ * Telephony provider adapter — everything the voice flow needs from the
+ * phone network, so the state machine never talks to a provider SDK.
+ *
+ * Adapters (TELEPHONY_PROVIDER env):
+ *   • "twilio"    (default) — Twilio REST API + TwiML       (./twilio.js)
+ *   • "simulator"           — in-process calls, no account  (./simulator.js)
+ *
+ * Every adapter exposes:
+ *   name
+ *   placeCall({ to, answerUrl, statusUrl, detectVoicemail })   → { sid }
+ *   getCallStatus(sid)     → "queued" | "ringing" | "in-progress" | "completed"
+ *                            | "busy" | "failed" | "no-answer" | "canceled"
+ *                            (throws with err.status = 404 for an unknown call)
+ *   cancelCall(sid)        stop a call that has not been answered
+ *   hangupCall(sid)        end a live call
+ *   redirectCall(sid, url) stop what the call is doing and fetch new
+ *                          instructions from `url` (POST)
+ *   createResponse({ language, voice }) → response builder:
+ *       say(text, { slow })                         speak, then continue;
+ *                                                   `text` may carry ../ssml.js
+ *                                                   markup, `slow` lowers the rate;
+ *                                                   cached phrases (../promptCache.js)
+ *                                                   are played, not spoken
+ *       gather({ actionUrl, timeout, speechTimeout, bargeIn, partialResultUrl, numDigits, slow }, text)
+ *                                                   speak and listen for speech
+ *                                                   or keypad digits; the
+ *                                                   answer is posted to actionUrl,
+ *                                                   speech so far to
+ *                                                   partialResultUrl (optional);
+ *                                                   bargeIn (default true) stops
+ *                                                   the prompt when the caller talks;
+ *                                                   digits end on '#', after
+ *                                                   numDigits keys (optional) or
+ *                                                   a pause
+ *       dial({ number, actionUrl, timeout })        connect the caller to `number`;
+ *                                                   when that leg ends, the result
+ *                                                   is posted to actionUrl
+ *       record({ actionUrl, maxLength })            beep and record the caller;
+ *                                                   the recording is posted to
+ *                                                   actionUrl (not when silent)
+ *       hangup()
+ *       toString()  contentType
+ *   parseWebhook(req)      → {
+ *       callSid, callStatus, speech, confidence, digits, answeredBy,
+ *       to, from, durationSeconds, timestamp, deliveryId,
+ *       partialSpeech, partialUnstable,
+ *       dialStatus, dialDurationSeconds,            after dial()
+ *       recordingUrl, recordingDurationSeconds      after record()
+ *     }   provider fields mapped to these names; statuses mapped to the
+ *         list above; missing values are null. deliveryId is the
+ *         provider's id for this webhook delivery — the same on a retry.
+ *         partialSpeech is the settled part of a partial result,
+ *         partialUnstable the tail the recogniser may still change
+ *   validateRequest(req, url) → true | false | null (cannot verify — no secret)
+ *
+ * A new provider (e.g. Exotel) is one more file implementing this shape,
+ * added to ADAPTERS below.
+ */
+
+import twilioAdapter from "./twilio.js";
+import simulatorAdapter from "./simulator.js";
+
+const ADAPTERS = {
+  twilio:    twilioAdapter,
+  simulator: simulatorAdapter,
+};
+
+const providerName = (process.env.TELEPHONY_PROVIDER || "twilio").toLowerCase();
+if (!ADAPTERS[providerName]) {
+  throw new Error(`Unknown TELEPHONY_PROVIDER "${providerName}" — use ${Object.keys(ADAPTERS).join(" | ")}`);
+}
+
+const telephony = ADAPTERS[providerName];
+
+export default telephony;
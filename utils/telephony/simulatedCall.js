@@ -0,0 +1,150 @@
+/**
+ * telephony/simulatedCall.js
+ * ================================
+ * Drives a whole reminder call locally against the real voice handlers —
+ * the simulator adapter's stand-in for the phone network.
+ * Requires TELEPHONY_PROVIDER=simulator.
+ *
+ *   const call  = await dialSimulatedCall({ to, customerName, ... });
+ *   const first = await call.answer();                 // greeting
+ *   const next  = await call.say("haan kal kar do", { confidence: 0.9 });
+ *   await call.say("haan", { bargeIn: true });         // spoken over the prompt
+ *   await call.silence();                              // caller says nothing
+ *   await call.press("21");                            // keypad answer
+ *   await call.desk("no-answer");                      // after a handoff <Dial>
+ *   await call.voicemail(12);                          // after the voicemail beep
+ *   await call.hangup();                               // caller hangs up
+ *
+ * Each turn returns { text, listening, ended, verbs } where `text` is
+ * everything the bot said and `listening` is true when it waits for an
+ * answer (or is dialing a desk / recording — see `verbs`). `call.ended`
+ * turns true once the bot hangs up.
+ */
+
+import crypto from "crypto";
+import telephony from "./index.js";
+import { setCallStatus, getCall, takeRedirect } from "./simulator.js";
+import { placeOutboundCall } from "../outboundDialer.js";
+import VoiceController from "../../controllers/voiceController.js";
+
+/** Runs an Express-style handler in-process and captures what it sends. */
+async function invoke(handler, body, query = {}) {
+  const captured = { statusCode: 200, body: null };
+  const res = {
+    status(code)     { captured.statusCode = code; return this; },
+    type()           { return this; },
+    send(payload)    { captured.body = payload; return this; },
+    sendStatus(code) { captured.statusCode = code; return this; },
+  };
+  await handler({ body: { deliveryId: crypto.randomUUID(), ...body }, query, headers: {}, originalUrl: "" }, res);
+  return captured;
+}
+
+function readTurn(captured) {
+  let verbs = [];
+  try {
+    verbs = JSON.parse(captured.body || "{}").verbs || [];
+  } catch {
+    verbs = [];
+  }
+  return {
+    text:      verbs.map(v => v.text).filter(Boolean).join(" "),
+    listening: verbs.some(v => ["gather", "dial", "record"].includes(v.verb)),
+    // A <Record> comes before its fallback goodbye + hangup — still live
+    ended:     (verbs.some(v => v.verb === "hangup") && !verbs.some(v => v.verb === "record")) || verbs.length === 0,
+    verbs,
+  };
+}
+
+export async function dialSimulatedCall(callData) {
+  if (telephony.name !== "simulator") {
+    throw new Error('Simulated calls need TELEPHONY_PROVIDER=simulator');
+  }
+  const { sid } = await placeOutboundCall(callData);
+  return createSimulatedCall(sid);
+}
+
+export function createSimulatedCall(callSid) {
+  let ended = false;
+
+  async function postStatus(callStatus, extra = {}) {
+    setCallStatus(callSid, callStatus);
+    await invoke(VoiceController.handleStatusCallback, { callSid, callStatus, timestamp: new Date(), ...extra });
+  }
+
+  async function turn(handler, body, query) {
+    if (ended) throw new Error(`Simulated call ${callSid} has already ended`);
+    const result = readTurn(await invoke(handler, { callSid, ...body }, query));
+    if (result.ended) {
+      ended = true;
+      const { createdAt } = getCall(callSid);
+      await postStatus("completed", { durationSeconds: Math.round((Date.now() - createdAt.getTime()) / 1000) });
+    }
+    return result;
+  }
+
+  return {
+    callSid,
+    get ended() { return ended; },
+
+    /** Picks up; `answeredBy` "machine_end_beep" / "fax" exercises voicemail. */
+    async answer({ answeredBy = "human" } = {}) {
+      await postStatus("ringing");
+      await postStatus("in-progress");
+      return turn(VoiceController.handleInitialCall, { answeredBy });
+    },
+
+    /** `bargeIn` posts the speech as a partial result first, as when the
+     *  caller talks over the prompt — a clear answer is taken early. */
+    async say(speech, { confidence = 0.9, bargeIn = false } = {}) {
+      if (bargeIn) {
+        await invoke(VoiceController.handlePartialResult, { callSid, partialSpeech: speech, partialUnstable: "" });
+        const redirectUrl = takeRedirect(callSid);
+        if (redirectUrl) {
+          const query = Object.fromEntries(new URL(redirectUrl).searchParams);
+          return turn(VoiceController.handleUserInput, {}, query);
+        }
+      }
+      return turn(VoiceController.handleUserInput, { speech, confidence });
+    },
+
+    /** Keypad answer — what Twilio posts as Digits. */
+    async press(digits) {
+      return turn(VoiceController.handleUserInput, { digits: String(digits) });
+    },
+
+    async silence() {
+      return turn(VoiceController.handleUserInput, { speech: "", confidence: 0 });
+    },
+
+    /** Result of a handoff <Dial>: "completed" (the desk answered and the
+     *  conversation is over), "no-answer", "busy" or "failed". */
+    async desk(dialStatus = "completed", { talkSeconds = 60 } = {}) {
+      const answered = dialStatus === "completed";
+      return turn(VoiceController.handleHandoffDial, { dialStatus, dialDurationSeconds: answered ? talkSeconds : 0 });
+    },
+
+    /** Caller leaves a voicemail of `seconds` after the beep. */
+    async voicemail(seconds = 10) {
+      return turn(VoiceController.handleHandoffVoicemail, {
+        recordingUrl:             `simulator://recordings/${callSid}`,
+        recordingDurationSeconds: seconds,
+      });
+    },
+
+    /** Caller hangs up mid-conversation. */
+    async hangup() {
+      if (ended) return;
+      ended = true;
+      await postStatus("completed");
+    },
+
+    /** Never answered — "busy" / "no-answer" / "failed" drive the redial policy. */
+    async reject(callStatus = "no-answer") {
+      ended = true;
+      await postStatus(callStatus, { to: getCall(callSid)?.to });
+    },
+  };
+}
+
+export default { dialSimulatedCall, createSimulatedCall };
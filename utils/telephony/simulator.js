@@ -0,0 +1,170 @@
+/**
+ * telephony/simulator.js
+ * ================================
+ * In-process telephony adapter — no provider account, no network.
+ * Calls are entries in a Map; responses are JSON lists of verbs;
+ * webhooks carry the adapter's own field names (see parseWebhook).
+ *
+ * Nothing rings by itself: ./simulatedCall.js plays the phone network,
+ * answering calls and posting turns to the voice handlers.
+ * See ./index.js for the adapter shape.
+ */
+
+import crypto from "crypto";
+import { toPlainText, toSsml } from "../ssml.js";
+import { segmentReply } from "../promptCache.js";
+
+const TERMINAL_STATUSES = ["completed", "busy", "failed", "no-answer", "canceled"];
+
+const calls = new Map();   // sid → { sid, to, answerUrl, statusUrl, status, createdAt, redirectUrl }
+
+function notFound(sid) {
+  const err = new Error(`Simulated call ${sid} not found`);
+  err.status = 404;
+  return err;
+}
+
+/* =====================================================================
+   CALL CONTROL
+   ===================================================================== */
+async function placeCall({ to, answerUrl, statusUrl }) {
+  const sid = `SIM${crypto.randomBytes(16).toString("hex")}`;
+  calls.set(sid, { sid, to, answerUrl, statusUrl, status: "queued", createdAt: new Date() });
+  return { sid };
+}
+
+async function getCallStatus(sid) {
+  const call = calls.get(sid);
+  if (!call) throw notFound(sid);
+  return call.status;
+}
+
+async function cancelCall(sid) {
+  setCallStatus(sid, "canceled");
+}
+
+async function hangupCall(sid) {
+  setCallStatus(sid, "completed");
+}
+
+/** Remembered until simulatedCall.js follows it (see takeRedirect). */
+async function redirectCall(sid, url) {
+  const call = calls.get(sid);
+  if (!call) throw notFound(sid);
+  call.redirectUrl = url;
+}
+
+export function takeRedirect(sid) {
+  const call = calls.get(sid);
+  const url  = call?.redirectUrl || null;
+  if (call) call.redirectUrl = null;
+  return url;
+}
+
+/** Used by simulatedCall.js to move a call through its lifecycle. */
+export function setCallStatus(sid, status) {
+  const call = calls.get(sid);
+  if (!call) throw notFound(sid);
+  if (TERMINAL_STATUSES.includes(call.status)) return call;
+  call.status = status;
+  return call;
+}
+
+export function getCall(sid) {
+  return calls.get(sid) || null;
+}
+
+/* =====================================================================
+   RESPONSE — { verbs: [ { verb: "say" | "gather" | "dial" | "record" | "hangup", ... } ] }
+   ===================================================================== */
+function createResponse({ language, voice } = {}) {
+  const verbs = [];
+  // What Twilio would <Play> from the prompt cache (null → all <Say>)
+  const segments = (text, slow) => (text && !slow ? segmentReply(text, { language, voice }) : null);
+
+  return {
+    contentType: "application/json",
+    verbs,
+
+    say(text, { slow = false } = {}) {
+      verbs.push({
+        verb: "say", text: toPlainText(text), ssml: toSsml(text, { slow }), segments: segments(text, slow),
+        language, voice,
+      });
+      return this;
+    },
+
+    gather({ actionUrl, timeout, speechTimeout, bargeIn = true, partialResultUrl = null, numDigits = null, slow = false }, text) {
+      verbs.push({
+        verb: "gather", actionUrl, timeout, speechTimeout, bargeIn, partialResultUrl, numDigits,
+        text: text ? toPlainText(text) : null,
+        ssml: text ? toSsml(text, { slow }) : null,
+        segments: segments(text, slow),
+      });
+      return this;
+    },
+
+    dial({ number, actionUrl, timeout }) {
+      verbs.push({ verb: "dial", number, actionUrl, timeout });
+      return this;
+    },
+
+    record({ actionUrl, maxLength }) {
+      verbs.push({ verb: "record", actionUrl, maxLength });
+      return this;
+    },
+
+    hangup() {
+      verbs.push({ verb: "hangup" });
+      return this;
+    },
+
+    toString() {
+      return JSON.stringify({ verbs });
+    },
+  };
+}
+
+/* =====================================================================
+   WEBHOOKS — body is already in adapter field names
+   ===================================================================== */
+function parseWebhook(req) {
+  const body = req.body || {};
+  return {
+    callSid:         body.callSid         || null,
+    callStatus:      body.callStatus      || null,
+    speech:          body.speech          ?? null,
+    confidence:      typeof body.confidence === "number" ? body.confidence : null,
+    digits:          body.digits          || null,
+    answeredBy:      body.answeredBy      || null,
+    to:              body.to              || null,
+    from:            body.from            || null,
+    durationSeconds: typeof body.durationSeconds === "number" ? body.durationSeconds : null,
+    timestamp:       body.timestamp ? new Date(body.timestamp) : null,
+    deliveryId:      body.deliveryId      || null,
+    partialSpeech:   body.partialSpeech   ?? null,
+    partialUnstable: body.partialUnstable ?? null,
+    dialStatus:      body.dialStatus      || null,
+    dialDurationSeconds:      typeof body.dialDurationSeconds === "number" ? body.dialDurationSeconds : null,
+    recordingUrl:             body.recordingUrl || null,
+    recordingDurationSeconds: typeof body.recordingDurationSeconds === "number" ? body.recordingDurationSeconds : null,
+  };
+}
+
+// Simulated webhooks are never signed, and simulatedCall.js calls the
+// handlers directly — anything reaching the HTTP routes cannot be verified
+function validateRequest() {
+  return null;
+}
+
+export default {
+  name: "simulator",
+  placeCall,
+  getCallStatus,
+  cancelCall,
+  hangupCall,
+  redirectCall,
+  createResponse,
+  parseWebhook,
+  validateRequest,
+};
@@ -0,0 +1,197 @@
+/**
+ * telephony/twilio.js
+ * ================================
+ * Twilio adapter — REST API for call control, TwiML for responses.
+ * Polly / Google voices get SSML built from the reply (../ssml.js);
+ * other voices get the plain text. Phrases found in the prompt cache
+ * (../promptCache.js) are <Play>ed instead, unless the reply is slowed
+ * down for a repeat.
+ * See ./index.js for the adapter shape.
+ */
+
+import twilio from "twilio";
+import { parseReply, toPlainText, supportsSsml, SLOW_RATE } from "../ssml.js";
+import { segmentReply } from "../promptCache.js";
+
+export const getTwilioClient = () => {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+    throw new Error('Twilio credentials are missing');
+  }
+
+  return twilio(
+    process.env.TWILIO_ACCOUNT_SID,
+    process.env.TWILIO_AUTH_TOKEN
+  );
+};
+
+/* =====================================================================
+   CALL CONTROL
+   ===================================================================== */
+async function placeCall({ to, answerUrl, statusUrl, detectVoicemail = false }) {
+  const call = await getTwilioClient().calls.create({
+    to,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    url: answerUrl,
+    method: 'POST',
+    // Waits for the voicemail greeting to finish, then the answer webhook
+    // gets AnsweredBy=machine_end_* so the message lands after the beep
+    ...(detectVoicemail && { machineDetection: 'DetectMessageEnd' }),
+    statusCallback: statusUrl,
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    statusCallbackMethod: 'POST'
+  });
+  return { sid: call.sid };
+}
+
+async function getCallStatus(sid) {
+  const { status } = await getTwilioClient().calls(sid).fetch();
+  return status;
+}
+
+async function cancelCall(sid) {
+  await getTwilioClient().calls(sid).update({ status: 'canceled' });
+}
+
+async function hangupCall(sid) {
+  await getTwilioClient().calls(sid).update({ status: 'completed' });
+}
+
+async function redirectCall(sid, url) {
+  await getTwilioClient().calls(sid).update({ url, method: 'POST' });
+}
+
+/* =====================================================================
+   TWIML RESPONSE
+   ===================================================================== */
+function appendSay(parent, sayOpts, text, slow) {
+  const segments = slow ? null : segmentReply(text, sayOpts);
+  if (!segments) {
+    appendSpeech(parent, sayOpts, text, slow);
+    return;
+  }
+  for (const segment of segments) {
+    if (segment.type === 'play') parent.play(segment.url);
+    else                         appendSpeech(parent, sayOpts, segment.text, false);
+  }
+}
+
+function appendSpeech(parent, sayOpts, text, slow) {
+  if (!supportsSsml(sayOpts.voice)) {
+    parent.say(sayOpts, toPlainText(text));
+    return;
+  }
+
+  const say    = parent.say(sayOpts, '');
+  const target = slow ? say.prosody({ rate: SLOW_RATE }, '') : say;
+  for (const part of parseReply(text)) {
+    if (part.type === 'break')      target.break({ time: `${part.ms}ms` });
+    else if (part.type === 'spell') target.sayAs({ 'interpret-as': 'characters' }, part.text);
+    else if (part.type === 'date')  target.sayAs({ 'interpret-as': 'date', format: 'dmy' }, part.value);
+    else                            target.addText(part.text);
+  }
+}
+
+function createResponse({ language, voice } = {}) {
+  const twiml   = new twilio.twiml.VoiceResponse();
+  const sayOpts = { language, voice };
+
+  return {
+    contentType: 'text/xml',
+
+    say(text, { slow = false } = {}) {
+      appendSay(twiml, sayOpts, text, slow);
+      return this;
+    },
+
+    gather({ actionUrl, timeout, speechTimeout, bargeIn = true, partialResultUrl = null, numDigits = null, slow = false }, text) {
+      const gather = twiml.gather({
+        input:           'dtmf speech',
+        finishOnKey:     '#',
+        ...(numDigits && { numDigits }),
+        action:          actionUrl,
+        method:          'POST',
+        language,
+        timeout,
+        speechTimeout,
+        profanityFilter: false,
+        bargeIn,
+        ...(partialResultUrl && {
+          partialResultCallback:       partialResultUrl,
+          partialResultCallbackMethod: 'POST',
+        }),
+      });
+      if (text) appendSay(gather, sayOpts, text, slow);
+      return this;
+    },
+
+    dial({ number, actionUrl, timeout }) {
+      twiml.dial({ action: actionUrl, method: 'POST', timeout }, number);
+      return this;
+    },
+
+    record({ actionUrl, maxLength }) {
+      twiml.record({ action: actionUrl, method: 'POST', maxLength, playBeep: true, finishOnKey: '#' });
+      return this;
+    },
+
+    hangup() {
+      twiml.hangup();
+      return this;
+    },
+
+    toString() {
+      return twiml.toString();
+    },
+  };
+}
+
+/* =====================================================================
+   WEBHOOKS
+   ===================================================================== */
+function parseWebhook(req) {
+  const body       = req.body || {};
+  const confidence = body.Confidence !== undefined ? parseFloat(body.Confidence) : null;
+  const duration   = parseInt(body.CallDuration, 10);
+  const dialLength = parseInt(body.DialCallDuration, 10);
+  const recLength  = parseInt(body.RecordingDuration, 10);
+  const timestamp  = body.Timestamp ? new Date(body.Timestamp) : null;
+
+  return {
+    callSid:         body.CallSid      || null,
+    callStatus:      body.CallStatus   || null,
+    speech:          body.SpeechResult ?? null,
+    digits:          body.Digits       || null,
+    confidence:      Number.isNaN(confidence) ? null : confidence,
+    answeredBy:      body.AnsweredBy   || null,
+    to:              body.To           || null,
+    from:            body.From         || null,
+    durationSeconds: Number.isNaN(duration) ? null : duration,
+    timestamp:       timestamp && !isNaN(timestamp.getTime()) ? timestamp : null,
+    deliveryId:      req.headers?.["i-twilio-idempotency-token"] || null,
+    partialSpeech:   body.StableSpeechResult   ?? null,
+    partialUnstable: body.UnstableSpeechResult ?? null,
+    dialStatus:      body.DialCallStatus || null,
+    dialDurationSeconds:      Number.isNaN(dialLength) ? null : dialLength,
+    recordingUrl:             body.RecordingUrl || null,
+    recordingDurationSeconds: Number.isNaN(recLength) ? null : recLength,
+  };
+}
+
+function validateRequest(req, url) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) return null;
+  const signature = req.headers["x-twilio-signature"] || "";
+  return twilio.validateRequest(authToken, signature, url, req.body || {});
+}
+
+export default {
+  name: 'twilio',
+  placeCall,
+  getCallStatus,
+  cancelCall,
+  hangupCall,
+  redirectCall,
+  createResponse,
+  parseWebhook,
+  validateRequest,
+};
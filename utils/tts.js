@@ -0,0 +1,76 @@
+/* =====================================================================
+   tts.js — offline speech synthesis for the prompt cache
+
+   synthesize({ text, voice, language }) → Buffer (MP3)
+
+   `voice` uses the Twilio names so the cached audio matches <Say>:
+     Polly.<Voice>[-Neural]   Amazon Polly  (AWS SDK credential chain —
+                              AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY,
+                              a profile or an instance role; POLLY_REGION /
+                              AWS_REGION, default ap-south-1)
+     Google.<voice-name>      Google Cloud Text-to-Speech (GOOGLE_TTS_API_KEY)
+
+   The text goes through ssml.js first, so cached phrases get the same
+   sentence breaks as live <Say>.
+   ===================================================================== */
+
+import axios from "axios";
+import { PollyClient, SynthesizeSpeechCommand } from "@aws-sdk/client-polly";
+import { toSsml } from "./ssml.js";
+
+const TIMEOUT_MS = 20000;
+
+/* ── Amazon Polly ──────────────────────────────────────────────── */
+let polly = null;
+
+function pollyClient() {
+  if (!polly) {
+    polly = new PollyClient({
+      region:         process.env.POLLY_REGION || process.env.AWS_REGION || "ap-south-1",
+      requestHandler: { requestTimeout: TIMEOUT_MS },
+    });
+  }
+  return polly;
+}
+
+async function pollySynthesize(voiceName, language, ssml) {
+  const [voiceId, engine] = voiceName.split("-");
+  const { AudioStream } = await pollyClient().send(new SynthesizeSpeechCommand({
+    Engine:       engine ? engine.toLowerCase() : "standard",
+    LanguageCode: language,
+    OutputFormat: "mp3",
+    Text:         ssml,
+    TextType:     "ssml",
+    VoiceId:      voiceId,
+  }));
+  return Buffer.from(await AudioStream.transformToByteArray());
+}
+
+/* ── Google Cloud Text-to-Speech ───────────────────────────────── */
+async function googleSynthesize(voiceName, language, ssml) {
+  const apiKey = process.env.GOOGLE_TTS_API_KEY;
+  if (!apiKey) throw new Error("GOOGLE_TTS_API_KEY is required for Google voices");
+
+  const { data } = await axios.post(
+    "https://texttospeech.googleapis.com/v1/text:synthesize",
+    {
+      input:       { ssml },
+      voice:       { languageCode: language, name: voiceName },
+      audioConfig: { audioEncoding: "MP3" },
+    },
+    { params: { key: apiKey }, timeout: TIMEOUT_MS },
+  );
+  return Buffer.from(data.audioContent, "base64");
+}
+
+/* ── Entry point ───────────────────────────────────────────────── */
+export async function synthesize({ text, voice, language }) {
+  const [provider, voiceName] = String(voice || "").split(/\.(.+)/);
+  const ssml = `<speak>${toSsml(text)}</speak>`;
+
+  if (provider === "Polly")  return pollySynthesize(voiceName, language, ssml);
+  if (provider === "Google") return googleSynthesize(voiceName, language, ssml);
+  throw new Error(`Voice "${voice}" cannot be synthesized offline — use a Polly.* or Google.* voice`);
+}
+
+export default { synthesize };